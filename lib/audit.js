@@ -0,0 +1,381 @@
+const parse5 = require('parse5');
+const { normalizePath, isHTMLPath, isPartial, buildSite } = require('./files');
+
+// Static quality audit of a project
+// Runs over the built site (includes expanded, see lib/files.js) and reports findings in
+// three categories:
+//   accessibility: alt text, heading order, form labels, colour contrast, document language
+//   seo:           title, meta description, viewport, Open Graph tags
+//   hygiene:       broken internal links, large inline scripts, external resources without SRI
+// A finding is { id, category, severity: 'error' | 'warning' | 'info', file, line, message }.
+// Each category starts at 100 and loses points per finding; the overall score is their average.
+
+const CATEGORIES = ['accessibility', 'seo', 'hygiene'];
+
+const PENALTIES = { error: 15, warning: 7, info: 2 };
+
+// Inline scripts bigger than this belong in a .js file
+const MAX_INLINE_SCRIPT_BYTES = 10 * 1024;
+
+// WCAG AA for normal text
+const MIN_CONTRAST = 4.5;
+
+// Inputs that don't need a label
+const UNLABELLED_INPUT_TYPES = ['hidden', 'submit', 'button', 'reset', 'image'];
+
+const NAMED_COLORS = {
+    black: [0, 0, 0], white: [255, 255, 255], red: [255, 0, 0], green: [0, 128, 0], blue: [0, 0, 255],
+    yellow: [255, 255, 0], orange: [255, 165, 0], purple: [128, 0, 128], gray: [128, 128, 128],
+    grey: [128, 128, 128], silver: [192, 192, 192], navy: [0, 0, 128], teal: [0, 128, 128],
+    maroon: [128, 0, 0], pink: [255, 192, 203], lime: [0, 255, 0], aqua: [0, 255, 255], cyan: [0, 255, 255],
+    fuchsia: [255, 0, 255], magenta: [255, 0, 255], olive: [128, 128, 0], gold: [255, 215, 0]
+};
+
+// Function: Walk a parse5 tree depth-first
+function walk(node, visit) {
+    visit(node);
+    (node.childNodes || []).forEach(child => walk(child, visit));
+    if (node.content) walk(node.content, visit); // <template>
+}
+
+// Function: Get an attribute from a parse5 element
+function getAttr(node, name) {
+    const attr = (node.attrs || []).find(a => a.name === name);
+    return attr ? attr.value : null;
+}
+
+// Function: Text content of an element
+function textOf(node) {
+    if (node.nodeName === '#text') return node.value;
+    return (node.childNodes || []).map(textOf).join('');
+}
+
+// Function: Line an element starts on (null without location info)
+function lineOf(node) {
+    return node.sourceCodeLocation ? node.sourceCodeLocation.startLine : null;
+}
+
+// Function: Is this an external URL (or protocol-relative)?
+function isExternal(ref) {
+    return /^(?:https?:)?\/\//i.test(ref);
+}
+
+// Function: Resolve a local link/src against the page it is on (null when it isn't a local file)
+function resolveLocal(ref, fromPath) {
+    if (!ref || isExternal(ref) || /^(?:[a-z][a-z0-9+.-]*:|#)/i.test(ref)) return null;
+
+    const clean = ref.split(/[?#]/)[0];
+    if (!clean) return null;
+
+    const parts = clean.startsWith('/') ? [] : fromPath.split('/').slice(0, -1);
+    for (const segment of clean.split('/')) {
+        if (segment === '..') parts.pop();
+        else if (segment && segment !== '.') parts.push(segment);
+    }
+
+    const resolved = parts.join('/');
+    if (!resolved || clean.endsWith('/')) return (resolved ? resolved + '/' : '') + 'index.html';
+    return normalizePath(resolved) || resolved;
+}
+
+// Function: Parse a CSS colour into [r, g, b] (null for anything it can't be sure about)
+function parseColor(value) {
+    const text = String(value || '').trim().toLowerCase();
+
+    const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/.exec(text);
+    if (hex) {
+        const digits = hex[1].length === 3 ? hex[1].split('').map(d => d + d).join('') : hex[1];
+        return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+    }
+
+    const rgb = /^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)\s*(?:[,/]\s*([\d.]+%?)\s*)?\)$/.exec(text);
+    if (rgb) {
+        // Translucent colours depend on what is behind them
+        if (rgb[4] !== undefined && parseFloat(rgb[4]) < (rgb[4].endsWith('%') ? 100 : 1)) return null;
+        return [rgb[1], rgb[2], rgb[3]].map(Number);
+    }
+
+    return NAMED_COLORS[text] || null;
+}
+
+// Function: WCAG contrast ratio between two colours
+function contrastRatio(a, b) {
+    const luminance = rgb => {
+        const [r, g, b2] = rgb.map(channel => {
+            const c = channel / 255;
+            return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b2;
+    };
+
+    const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+    return (light + 0.05) / (dark + 0.05);
+}
+
+// Function: Rules of a stylesheet as [{ selector, declarations: { prop: value }, line }]
+// Good enough for contrast checks: nested at-rules are flattened, comments dropped.
+function parseCSSRules(css) {
+    const rules = [];
+    const text = css.replace(/\/\*[\s\S]*?\*\//g, match => match.replace(/[^\n]/g, ' '));
+    const pattern = /([^{}]+)\{([^{}]*)\}/g;
+    let match;
+
+    while ((match = pattern.exec(text))) {
+        const selector = match[1].replace(/@[^{]*$/, '').trim().split('\n').pop().trim();
+        const declarations = {};
+
+        match[2].split(';').forEach(declaration => {
+            const colon = declaration.indexOf(':');
+            if (colon === -1) return;
+            declarations[declaration.slice(0, colon).trim().toLowerCase()] = declaration.slice(colon + 1).replace(/!important/i, '').trim();
+        });
+
+        rules.push({ selector, declarations, line: text.slice(0, match.index + match[0].indexOf(match[1].trim())).split('\n').length });
+    }
+
+    return rules;
+}
+
+// Function: Check text/background contrast for rules that set both
+function checkContrast(css, file, findings, variables) {
+    const resolve = value => String(value || '').replace(/var\(\s*(--[\w-]+)\s*(?:,\s*([^)]+))?\)/g,
+        (match, name, fallback) => variables[name] || fallback || match);
+
+    for (const rule of parseCSSRules(css)) {
+        const color = parseColor(resolve(rule.declarations.color));
+        const background = parseColor(resolve(rule.declarations['background-color'] || rule.declarations.background));
+        if (!color || !background) continue;
+
+        const ratio = contrastRatio(color, background);
+        if (ratio < MIN_CONTRAST) {
+            findings.push({
+                id: 'color-contrast',
+                category: 'accessibility',
+                severity: ratio < 3 ? 'error' : 'warning',
+                file,
+                line: rule.line,
+                message: `"${rule.selector}" has a text/background contrast of ${ratio.toFixed(2)}:1 (needs ${MIN_CONTRAST}:1)`
+            });
+        }
+    }
+}
+
+// Function: Custom properties declared on :root / html, for resolving var(--x)
+function collectVariables(stylesheets) {
+    const variables = {};
+
+    for (const { css } of stylesheets) {
+        for (const rule of parseCSSRules(css)) {
+            if (!/(^|,)\s*(:root|html)\s*(,|$)/.test(rule.selector)) continue;
+            Object.entries(rule.declarations)
+                .filter(([name]) => name.startsWith('--'))
+                .forEach(([name, value]) => { variables[name] = value; });
+        }
+    }
+
+    return variables;
+}
+
+// Function: Audit one page
+function auditPage(page, files, findings) {
+    const file = page.path;
+    const add = (id, category, severity, node, message) => {
+        findings.push({ id, category, severity, file, line: node ? lineOf(node) : null, message });
+    };
+
+    const document = parse5.parse(page.content, { sourceCodeLocationInfo: true });
+    const elements = [];
+    walk(document, node => {
+        if (node.tagName) elements.push(node);
+    });
+    const byTag = tag => elements.filter(node => node.tagName === tag);
+
+    // --- Accessibility ---
+    const html = byTag('html')[0];
+    if (!html || !getAttr(html, 'lang')) {
+        add('html-lang', 'accessibility', 'warning', html, '<html> has no lang attribute, screen readers may pick the wrong language');
+    }
+
+    byTag('img').forEach(img => {
+        if (getAttr(img, 'alt') === null) {
+            add('img-alt', 'accessibility', 'error', img, `<img src="${getAttr(img, 'src') || ''}"> has no alt text (use alt="" if it is decorative)`);
+        }
+    });
+
+    const headings = elements.filter(node => /^h[1-6]$/.test(node.tagName));
+    const h1s = headings.filter(node => node.tagName === 'h1');
+    if (h1s.length === 0) {
+        add('heading-h1', 'accessibility', 'warning', null, 'The page has no <h1>');
+    } else if (h1s.length > 1) {
+        add('heading-h1', 'accessibility', 'info', h1s[1], `The page has ${h1s.length} <h1> elements, one is usually enough`);
+    }
+    headings.reduce((previous, heading) => {
+        const level = Number(heading.tagName[1]);
+        if (previous && level > previous + 1) {
+            add('heading-order', 'accessibility', 'warning', heading, `<${heading.tagName}> follows <h${previous}>, heading levels should not be skipped`);
+        }
+        return level;
+    }, 0);
+
+    const labelled = new Set(byTag('label').map(label => getAttr(label, 'for')).filter(Boolean));
+    const insideLabel = new Set();
+    byTag('label').forEach(label => walk(label, node => {
+        if (node.tagName) insideLabel.add(node);
+    }));
+    elements
+        .filter(node => ['input', 'select', 'textarea'].includes(node.tagName))
+        .filter(node => !UNLABELLED_INPUT_TYPES.includes((getAttr(node, 'type') || '').toLowerCase()))
+        .forEach(field => {
+            const id = getAttr(field, 'id');
+            const hasLabel = (id && labelled.has(id)) || insideLabel.has(field) ||
+                getAttr(field, 'aria-label') || getAttr(field, 'aria-labelledby') || getAttr(field, 'title');
+            if (!hasLabel) {
+                const name = getAttr(field, 'name') || getAttr(field, 'placeholder') || field.tagName;
+                add('form-label', 'accessibility', 'error', field, `Form field "${name}" has no label (add <label for>, wrap it in a <label> or use aria-label)`);
+            }
+        });
+
+    elements
+        .filter(node => node.tagName === 'a' || node.tagName === 'button')
+        .forEach(node => {
+            const hasImageText = elements.some(child => child.tagName === 'img' && getAttr(child, 'alt') && node !== child && isInside(child, node));
+            if (!textOf(node).trim() && !getAttr(node, 'aria-label') && !getAttr(node, 'title') && !hasImageText) {
+                add('empty-control', 'accessibility', 'warning', node, `<${node.tagName}> has no text or aria-label, screen readers announce it as blank`);
+            }
+        });
+
+    // --- SEO ---
+    const title = byTag('title')[0];
+    if (!title || !textOf(title).trim()) {
+        add('title', 'seo', 'error', title, 'The page has no <title>');
+    } else if (textOf(title).trim().length > 60) {
+        add('title', 'seo', 'info', title, `The <title> is ${textOf(title).trim().length} characters, search results cut it at about 60`);
+    }
+
+    const metas = byTag('meta');
+    const meta = (attr, value) => metas.find(m => (getAttr(m, attr) || '').toLowerCase() === value);
+
+    const description = meta('name', 'description');
+    if (!description || !(getAttr(description, 'content') || '').trim()) {
+        add('meta-description', 'seo', 'warning', null, 'No <meta name="description">, search engines will pick their own snippet');
+    }
+    if (!meta('name', 'viewport')) {
+        add('meta-viewport', 'seo', 'warning', null, 'No <meta name="viewport">, the page will not scale on phones');
+    }
+    const missingOg = ['og:title', 'og:description', 'og:image'].filter(property => !meta('property', property));
+    if (missingOg.length > 0) {
+        add('open-graph', 'seo', 'info', null, `Missing Open Graph tags (${missingOg.join(', ')}), shared links show no preview`);
+    }
+
+    // --- Hygiene ---
+    const paths = new Set(files.map(f => f.path));
+    elements.forEach(node => {
+        const attr = node.tagName === 'a' || node.tagName === 'link' ? 'href' : ['img', 'script', 'source', 'video', 'audio', 'iframe'].includes(node.tagName) ? 'src' : null;
+        const ref = attr && getAttr(node, attr);
+        if (!ref) return;
+
+        const target = resolveLocal(ref, file);
+        if (target && !paths.has(target) && !paths.has(`${target}.html`)) {
+            add('broken-link', 'hygiene', 'error', node, `${attr}="${ref}" points to ${target}, which is not in the project`);
+        }
+
+        const external = isExternal(ref) && (node.tagName === 'script' || (node.tagName === 'link' && /stylesheet/i.test(getAttr(node, 'rel') || '')));
+        if (external && !getAttr(node, 'integrity')) {
+            add('sri', 'hygiene', 'warning', node, `${ref} is loaded without an integrity (SRI) hash`);
+        }
+    });
+
+    byTag('script')
+        .filter(script => !getAttr(script, 'src'))
+        .forEach(script => {
+            const size = Buffer.byteLength(textOf(script), 'utf8');
+            if (size > MAX_INLINE_SCRIPT_BYTES) {
+                add('inline-script-size', 'hygiene', 'warning', script, `Inline <script> is ${Math.round(size / 1024)} KB, move it into a .js file so it can be cached`);
+            }
+        });
+
+    return byTag('style').map(style => ({ file, css: textOf(style) }));
+}
+
+// Function: Is node somewhere inside ancestor?
+function isInside(node, ancestor) {
+    let found = false;
+    walk(ancestor, child => {
+        if (child === node) found = true;
+    });
+    return found;
+}
+
+// Function: Score per category and overall
+function scoreFindings(findings) {
+    const scores = {};
+
+    for (const category of CATEGORIES) {
+        const penalty = findings
+            .filter(finding => finding.category === category)
+            .reduce((sum, finding) => sum + PENALTIES[finding.severity], 0);
+        scores[category] = Math.max(0, 100 - penalty);
+    }
+
+    const overall = Math.round(CATEGORIES.reduce((sum, category) => sum + scores[category], 0) / CATEGORIES.length);
+    return { score: overall, scores };
+}
+
+// Function: Audit a project's files
+// Returns { score, scores: { accessibility, seo, hygiene }, counts: { error, warning, info }, findings }.
+function auditProject(files) {
+    const site = buildSite(files);
+    const findings = [];
+    const stylesheets = site
+        .filter(file => file.path.endsWith('.css') && file.encoding !== 'base64')
+        .map(file => ({ file: file.path, css: file.content }));
+
+    site
+        .filter(file => isHTMLPath(file.path) && !isPartial(file.path) && file.encoding !== 'base64')
+        .forEach(page => stylesheets.push(...auditPage(page, site, findings)));
+
+    const variables = collectVariables(stylesheets);
+    stylesheets.forEach(({ file, css }) => checkContrast(css, file, findings, variables));
+
+    const order = { error: 0, warning: 1, info: 2 };
+    findings.sort((a, b) => order[a.severity] - order[b.severity]);
+
+    const counts = { error: 0, warning: 0, info: 0 };
+    findings.forEach(finding => counts[finding.severity]++);
+
+    return { ...scoreFindings(findings), counts, findings };
+}
+
+// Function: A chat message asking the AI to fix audit findings
+// label names the check in the message (the security scan reuses this).
+function buildFixPrompt(findings, label = 'quality audit') {
+    const lines = findings
+        .filter(finding => finding.severity !== 'info')
+        .slice(0, 25)
+        .map(finding => `- ${finding.file}${finding.line ? `:${finding.line}` : ''}: ${finding.message}`);
+
+    if (lines.length === 0) return '';
+
+    return `Please fix these ${label} findings without changing the design or content otherwise:\n${lines.join('\n')}`;
+}
+
+// Function: Does an audit pass a deploy gate?
+// gate: { minScore, allowErrors }; errors block unless allowErrors is set.
+function passesGate(audit, gate = {}) {
+    if (!gate.allowErrors && audit.counts.error > 0) {
+        return { passed: false, reason: `${audit.counts.error} error(s) found by the quality audit` };
+    }
+    if (gate.minScore && audit.score < gate.minScore) {
+        return { passed: false, reason: `Quality score ${audit.score} is below the required ${gate.minScore}` };
+    }
+    return { passed: true, reason: null };
+}
+
+module.exports = {
+    CATEGORIES,
+    auditProject,
+    buildFixPrompt,
+    passesGate,
+    contrastRatio,
+    parseColor
+};
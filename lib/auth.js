@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const { logger, addLogContext } = require('./logger');
+
+// Accounts and sessions
+// Passwords are hashed with scrypt; sessions are HS256-signed tokens carried in an HttpOnly
+// cookie (or an Authorization: Bearer header for API clients).
+
+const SESSION_COOKIE = 'happy_session';
+const SESSION_TTL_SECONDS = 7 * 24 * 60 * 60;
+const SCRYPT_KEYLEN = 64;
+
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.SESSION_SECRET) {
+    logger.warn('SESSION_SECRET not set, sessions will not survive a restart');
+}
+
+// Accounts whose email is listed in ADMIN_EMAILS (comma-separated) can use the admin endpoints
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '').split(',').map(e => e.trim().toLowerCase()).filter(Boolean);
+
+// Function: Hash a password as "scrypt$<salt>$<hash>"
+function hashPassword(password) {
+    return new Promise((resolve, reject) => {
+        const salt = crypto.randomBytes(16).toString('hex');
+        crypto.scrypt(password, salt, SCRYPT_KEYLEN, (error, key) => {
+            if (error) return reject(error);
+            resolve(`scrypt$${salt}$${key.toString('hex')}`);
+        });
+    });
+}
+
+// Function: Check a password against a stored hash (constant time)
+function verifyPassword(password, stored) {
+    return new Promise((resolve, reject) => {
+        const [scheme, salt, hash] = String(stored || '').split('$');
+        if (scheme !== 'scrypt' || !salt || !hash) return resolve(false);
+
+        crypto.scrypt(password, salt, SCRYPT_KEYLEN, (error, key) => {
+            if (error) return reject(error);
+
+            const expected = Buffer.from(hash, 'hex');
+            resolve(expected.length === key.length && crypto.timingSafeEqual(expected, key));
+        });
+    });
+}
+
+// Function: base64url helpers
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+const sign = data => crypto.createHmac('sha256', SESSION_SECRET).update(data).digest('base64url');
+
+// Function: Create a session token for a user
+function createSessionToken(userId) {
+    const now = Math.floor(Date.now() / 1000);
+    const data = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ sub: userId, iat: now, exp: now + SESSION_TTL_SECONDS })}`;
+    return `${data}.${sign(data)}`;
+}
+
+// Function: Verify a session token, returning its payload or null
+function verifySessionToken(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) return null;
+
+    const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`));
+    const actual = Buffer.from(parts[2]);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+        const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+        if (!payload.sub || payload.exp < Math.floor(Date.now() / 1000)) return null;
+        return payload;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Function: Read one cookie from the request
+function readCookie(req, name) {
+    const header = req.headers.cookie || '';
+
+    for (const part of header.split(';')) {
+        const [key, ...rest] = part.trim().split('=');
+        if (key === name) return decodeURIComponent(rest.join('='));
+    }
+
+    return null;
+}
+
+// Function: Set the session cookie
+function setSessionCookie(req, res, token) {
+    const secure = req.secure ? '; Secure' : '';
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${encodeURIComponent(token)}; HttpOnly; Path=/; SameSite=Lax; Max-Age=${SESSION_TTL_SECONDS}${secure}`);
+}
+
+// Function: Clear the session cookie
+function clearSessionCookie(req, res) {
+    const secure = req.secure ? '; Secure' : '';
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; HttpOnly; Path=/; SameSite=Lax; Max-Age=0${secure}`);
+}
+
+// Function: The signed-in user of a request (null when there is none)
+// Also used for WebSocket upgrades, which carry the same cookie.
+async function userFromRequest(storage, req) {
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    const payload = verifySessionToken(bearer ? bearer[1] : readCookie(req, SESSION_COOKIE));
+    return payload ? storage.getUser(payload.sub) : null;
+}
+
+// Function: Middleware that requires a signed-in user (sets req.user)
+function createAuthMiddleware(storage) {
+    return async function requireAuth(req, res, next) {
+        try {
+            const user = await userFromRequest(storage, req);
+
+            if (!user) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Authentication required'
+                });
+            }
+
+            req.user = user;
+            addLogContext({ userId: user.id });
+            next();
+
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+// Function: Is this user an admin?
+function isAdmin(user) {
+    return !!user && ADMIN_EMAILS.includes(user.email);
+}
+
+// Function: Middleware that only lets admins through (after requireAuth)
+function requireAdmin(req, res, next) {
+    if (!isAdmin(req.user)) {
+        return res.status(403).json({
+            success: false,
+            error: 'Admin access required'
+        });
+    }
+
+    next();
+}
+
+// Function: The user as the API shows it (never the password hash)
+function publicUser(user) {
+    return {
+        id: user.id,
+        email: user.email,
+        admin: isAdmin(user),
+        createdAt: user.createdAt
+    };
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    createSessionToken,
+    verifySessionToken,
+    setSessionCookie,
+    clearSessionCookie,
+    userFromRequest,
+    createAuthMiddleware,
+    isAdmin,
+    requireAdmin,
+    publicUser
+};
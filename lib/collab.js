@@ -0,0 +1,426 @@
+const ot = require('./ot');
+const { normalizePath, normalizeFiles, codeFromFiles, projectFiles } = require('./files');
+const { logger } = require('./logger');
+
+// Real-time collaboration sessions
+// Everyone with a project open (its owner and the collaborators it is shared with) joins one
+// session over a WebSocket. Each file is its own document with a revision number: clients send
+// operations (see lib/ot.js) against the revision they last saw, the server transforms them past
+// what happened since, applies them and sends them on; the sender only gets an acknowledgement.
+// Sessions also relay cursors, presence and the chat, so everyone sees the same prompts, AI
+// answers and preview. The files are written to storage a moment after the last change, and a
+// revision is recorded when someone saves and when the last person leaves. Every change must
+// leave files a save would accept (normalizeFiles: file count, sizes, includes), else it is
+// refused with an 'error' and the sender gets the file back as it was.
+//
+// Messages are JSON. From the client:
+//   { type: 'op', path, revision, op }          edit a text file
+//   { type: 'create', path, content, encoding } add a file (or replace one, e.g. an image)
+//   { type: 'delete', path }                    remove a file
+//   { type: 'cursor', path, from, to }          where the user's cursor/selection is
+//   { type: 'chat', text }                      a prompt for everyone's chat
+//   { type: 'save', revision }                  record a revision ({ source, prompt, message })
+// From the server: 'joined' (files, participants, chat), 'ack', 'op', 'create', 'delete',
+// 'resync' (a file's current state, after an edit that couldn't be applied), 'cursor',
+// 'presence', 'chat', 'saved' and 'error'. AI answers only come from the server (shareAnswer, once
+// the chat routes have the answer), so nobody can put words in the AI's mouth.
+
+// Operations kept per file for clients that are behind; older clients get a resync
+const MAX_HISTORY = 500;
+
+const SAVE_DELAY_MS = parseInt(process.env.COLLAB_SAVE_DELAY_MS, 10) || 2000;
+const MAX_CHAT = 100;
+const MAX_CHAT_LENGTH = 20000;
+
+const log = logger.child({ module: 'collab' });
+
+const COLORS = ['#00ffaa', '#ff6b8b', '#ffd166', '#0088ff', '#c77dff', '#ff9f1c', '#2ec4b6', '#f15bb5'];
+
+// Function: A session's files as a project file list
+function sessionFiles(session) {
+    return [...session.docs.entries()]
+        .map(([path, doc]) => (doc.encoding ? { path, content: doc.content, encoding: doc.encoding } : { path, content: doc.content }))
+        .sort((a, b) => a.path.localeCompare(b.path));
+}
+
+// Function: A file document as clients get it
+function docState(path, doc) {
+    return { path, content: doc.content, encoding: doc.encoding, revision: doc.revision };
+}
+
+// Function: Sessions on top of a storage backend
+// onSave(project, revision) records a revision and returns the security report (or null).
+function createCollabHub({ storage, onSave }) {
+    const sessions = new Map();
+
+    // projectId -> the last write of a session that just closed (a new one waits for it)
+    const closing = new Map();
+
+    const participants = session => [...session.clients].map(client => ({
+        id: client.user.id,
+        email: client.user.email,
+        color: client.color,
+        path: client.path
+    }));
+
+    const broadcast = (session, message, except = null) => {
+        const text = JSON.stringify(message);
+        for (const client of session.clients) {
+            if (client !== except) client.connection.send(text);
+        }
+    };
+
+    const reply = (client, message) => client.connection.send(JSON.stringify(message));
+
+    // Add a message to the session's chat; returns the entry to send
+    const addChat = (session, client, role, text) => {
+        const entry = {
+            userId: client.user.id,
+            email: client.user.email,
+            color: client.color,
+            role,
+            text: text.slice(0, MAX_CHAT_LENGTH),
+            at: new Date().toISOString()
+        };
+
+        session.chat.push(entry);
+        if (session.chat.length > MAX_CHAT) session.chat.shift();
+        return entry;
+    };
+
+    // Throws (status 400, refused: true) unless the session's files, with path set to content,
+    // pass a save's checks
+    const checkFiles = (session, path, content, encoding) => {
+        const files = sessionFiles(session).filter(file => file.path !== path);
+        try {
+            normalizeFiles([...files, encoding ? { path, content, encoding } : { path, content }]);
+        } catch (error) {
+            error.refused = true;
+            throw error;
+        }
+    };
+
+    // Writes run one at a time per session, in order
+    const persist = (session, revision = null) => {
+        clearTimeout(session.saveTimer);
+        session.saveTimer = null;
+
+        const files = sessionFiles(session);
+        const next = session.writes.catch(() => {}).then(async () => {
+            normalizeFiles(files);
+            const project = await storage.getProject(session.projectId);
+            if (!project) return null;
+
+            project.files = files;
+            project.code = codeFromFiles(files);
+            project.updatedAt = new Date().toISOString();
+            await storage.saveProject(project);
+
+            return revision ? onSave(project, revision) : null;
+        });
+
+        session.writes = next;
+        return next;
+    };
+
+    const changed = session => {
+        clearTimeout(session.saveTimer);
+        session.saveTimer = setTimeout(() => {
+            persist(session).catch(error => log.error('Collaboration save failed', { projectId: session.projectId, error }));
+        }, SAVE_DELAY_MS);
+    };
+
+    // Apply an operation made against an older revision of a file
+    // checked: throw (status 400) when the result would fail a save's checks (see checkFiles)
+    const applyOperation = (session, path, revision, op, checked = true) => {
+        const doc = session.docs.get(path);
+        const behind = doc.revision - revision;
+
+        if (!Number.isInteger(revision) || behind < 0 || behind > doc.history.length) {
+            throw new Error(`Revision ${revision} of ${path} is unknown`);
+        }
+
+        for (const concurrent of doc.history.slice(doc.history.length - behind)) {
+            [op] = ot.transform(op, concurrent);
+        }
+
+        const content = ot.apply(doc.content, op);
+        if (checked) checkFiles(session, path, content);
+
+        doc.content = content;
+        doc.revision++;
+        doc.history.push(op);
+        if (doc.history.length > MAX_HISTORY) doc.history.shift();
+
+        return op;
+    };
+
+    // Replace a file's content, as an operation so concurrent edits survive it
+    // The new files were checked already (by the create handler, or a save from outside).
+    const replaceContent = (session, path, content, encoding, client = null) => {
+        const doc = session.docs.get(path);
+
+        if (!doc || doc.encoding || encoding) {
+            session.docs.set(path, { content, encoding, revision: 0, history: [] });
+            broadcast(session, { type: 'create', path, content, encoding, revision: 0, userId: client && client.user.id }, client);
+            if (client && doc) reply(client, { type: 'resync', file: docState(path, session.docs.get(path)) });
+            return;
+        }
+
+        const op = ot.diff(doc.content, content);
+        const revision = doc.revision;
+        applyOperation(session, path, revision, op, false);
+        broadcast(session, { type: 'op', path, revision, op, userId: client && client.user.id }, client);
+        if (client) reply(client, { type: 'resync', file: docState(path, doc) });
+    };
+
+    const handlers = {
+        op(session, client, message) {
+            const path = normalizePath(message.path);
+            const doc = path && session.docs.get(path);
+
+            // Someone deleted the file meanwhile: the delete wins
+            if (!doc) return reply(client, { type: 'delete', path: message.path });
+            if (doc.encoding || !ot.isOperation(message.op)) {
+                return reply(client, { type: 'resync', file: docState(path, doc) });
+            }
+
+            let op;
+            try {
+                op = applyOperation(session, path, message.revision, message.op);
+            } catch (error) {
+                if (error.refused) reply(client, { type: 'error', error: error.message });
+                return reply(client, { type: 'resync', file: docState(path, doc) });
+            }
+
+            reply(client, { type: 'ack', path, revision: doc.revision });
+            broadcast(session, { type: 'op', path, revision: doc.revision - 1, op, userId: client.user.id }, client);
+            changed(session);
+        },
+
+        create(session, client, message) {
+            // Same checks as a saved file (throws with the reason)
+            const [file] = normalizeFiles([{ path: message.path, content: message.content, encoding: message.encoding }]);
+            try {
+                checkFiles(session, file.path, file.content, file.encoding);
+            } catch (error) {
+                const doc = session.docs.get(file.path);
+                reply(client, doc ? { type: 'resync', file: docState(file.path, doc) } : { type: 'delete', path: file.path });
+                throw error;
+            }
+            replaceContent(session, file.path, file.content, file.encoding, client);
+            changed(session);
+        },
+
+        delete(session, client, message) {
+            const path = normalizePath(message.path);
+            if (!path || !session.docs.has(path)) return;
+            if (path === 'index.html') {
+                return reply(client, { type: 'resync', file: docState(path, session.docs.get(path)) });
+            }
+
+            session.docs.delete(path);
+            broadcast(session, { type: 'delete', path, userId: client.user.id }, client);
+            changed(session);
+        },
+
+        cursor(session, client, message) {
+            const path = normalizePath(message.path);
+            if (!path) return;
+
+            const moved = client.path !== path;
+            client.path = path;
+            broadcast(session, {
+                type: 'cursor',
+                userId: client.user.id,
+                path,
+                from: Math.max(0, parseInt(message.from, 10) || 0),
+                to: Math.max(0, parseInt(message.to, 10) || 0)
+            }, client);
+            if (moved) broadcast(session, { type: 'presence', participants: participants(session) });
+        },
+
+        chat(session, client, message) {
+            if (typeof message.text !== 'string' || !message.text.trim()) return;
+
+            broadcast(session, { type: 'chat', message: addChat(session, client, 'user', message.text) }, client);
+        },
+
+        async save(session, client, message) {
+            const revision = message.revision || {};
+            const security = await persist(session, {
+                source: revision.source === 'ai' ? 'ai' : 'save',
+                prompt: revision.prompt,
+                message: revision.message
+            });
+            reply(client, { type: 'saved', security });
+        }
+    };
+
+    const leave = (session, client) => {
+        if (!session.clients.delete(client)) return;
+
+        if (session.clients.size > 0) {
+            broadcast(session, { type: 'presence', participants: participants(session) });
+            return;
+        }
+
+        // Last one out: write the files and a revision, then forget the session
+        sessions.delete(session.projectId);
+        const write = persist(session, { source: 'save' })
+            .catch(error => log.error('Collaboration save failed', { projectId: session.projectId, error }))
+            .finally(() => {
+                if (closing.get(session.projectId) === write) closing.delete(session.projectId);
+            });
+        closing.set(session.projectId, write);
+    };
+
+    return {
+        // Add a connection to a project's session (started from the stored project if there is none)
+        // Returns false when the project is gone or the connection closed meanwhile.
+        async join(projectId, user, connection) {
+            if (!sessions.has(projectId)) {
+                await closing.get(projectId);
+                const project = await storage.getProject(projectId);
+                if (!project) return false;
+
+                // Someone else may have started it meanwhile
+                if (!sessions.has(projectId)) {
+                    sessions.set(projectId, {
+                        projectId,
+                        docs: new Map(projectFiles(project).map(file => [file.path, {
+                            content: file.content,
+                            encoding: file.encoding,
+                            revision: 0,
+                            history: []
+                        }])),
+                        clients: new Set(),
+                        chat: [],
+                        saveTimer: null,
+                        writes: Promise.resolve()
+                    });
+                }
+            }
+
+            if (connection.closed) return false;
+            const session = sessions.get(projectId);
+
+            const used = new Set([...session.clients].map(client => client.color));
+            const client = {
+                user,
+                connection,
+                color: COLORS.find(color => !used.has(color)) || COLORS[session.clients.size % COLORS.length],
+                path: 'index.html'
+            };
+            session.clients.add(client);
+
+            reply(client, {
+                type: 'joined',
+                you: { id: user.id, color: client.color },
+                files: [...session.docs.entries()].map(([path, doc]) => docState(path, doc)),
+                participants: participants(session),
+                chat: session.chat
+            });
+            broadcast(session, { type: 'presence', participants: participants(session) }, client);
+
+            // Messages of one client are handled in order (a save waits for the edits before it)
+            let queue = Promise.resolve();
+            connection.on('message', text => {
+                queue = queue.then(async () => {
+                    let message;
+                    try {
+                        message = JSON.parse(text);
+                    } catch (error) {
+                        return reply(client, { type: 'error', error: 'Messages must be JSON' });
+                    }
+
+                    const handler = message && Object.prototype.hasOwnProperty.call(handlers, message.type) && handlers[message.type];
+                    if (!handler) return reply(client, { type: 'error', error: `Unknown message type "${message && message.type}"` });
+                    if (!session.clients.has(client)) return;
+
+                    try {
+                        await handler(session, client, message);
+                    } catch (error) {
+                        reply(client, { type: 'error', error: error.message });
+                    }
+                });
+            });
+            connection.on('close', () => leave(session, client));
+            return true;
+        },
+
+        // The live files of a project, or null when nobody has it open
+        files(projectId) {
+            const session = sessions.get(projectId);
+            return session ? sessionFiles(session) : null;
+        },
+
+        // Put a whole file list into a live session (a save from outside it, a restored revision)
+        // Returns false when nobody has the project open.
+        replaceFiles(projectId, files) {
+            const session = sessions.get(projectId);
+            if (!session) return false;
+
+            const paths = new Set(files.map(file => file.path));
+            for (const path of [...session.docs.keys()]) {
+                if (paths.has(path)) continue;
+                session.docs.delete(path);
+                broadcast(session, { type: 'delete', path, userId: null });
+            }
+            for (const file of files) {
+                const doc = session.docs.get(file.path);
+                if (!doc || doc.content !== file.content || doc.encoding !== file.encoding) {
+                    replaceContent(session, file.path, file.content, file.encoding);
+                }
+            }
+
+            changed(session);
+            return true;
+        },
+
+        // Disconnect a user from a project's session (e.g. they were removed from it)
+        kick(projectId, userId, reason = 'You no longer have access to this project') {
+            const session = sessions.get(projectId);
+            if (!session) return;
+
+            for (const client of [...session.clients]) {
+                if (client.user.id === userId) client.connection.close(4403, reason);
+            }
+        },
+
+        // Close a project's session without saving (the project was deleted)
+        end(projectId) {
+            const session = sessions.get(projectId);
+            if (!session) return;
+
+            const clients = [...session.clients];
+            sessions.delete(projectId);
+            clearTimeout(session.saveTimer);
+            session.clients.clear();
+            clients.forEach(client => client.connection.close(4404, 'The project was deleted'));
+        },
+
+        // Share the AI's answer to a user's prompt with the others in the project's session
+        // Nothing happens unless the user is in it; their own connections already show the answer.
+        shareAnswer(projectId, user, text) {
+            const session = sessions.get(projectId);
+            const client = session && [...session.clients].find(candidate => candidate.user.id === user.id);
+            if (!client || typeof text !== 'string' || !text.trim()) return;
+
+            const message = JSON.stringify({ type: 'chat', message: addChat(session, client, 'ai', text) });
+            for (const other of session.clients) {
+                if (other.user.id !== user.id) other.connection.send(message);
+            }
+        },
+
+        // Open sessions and the people in them (health check)
+        stats() {
+            const list = [...sessions.values()];
+            return { sessions: list.length, participants: list.reduce((sum, session) => sum + session.clients.size, 0) };
+        }
+    };
+}
+
+module.exports = {
+    createCollabHub
+};
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const { isValidId } = require('./storage');
+
+// Conversation threads for /api/chat
+// One thread per project: the stored history is replayed to the model on every turn,
+// together with the project's current files, trimmed to fit the context budget.
+// Threads are kept by the storage backend (see lib/storage.js), so they survive restarts.
+
+const MAX_STORED_MESSAGES = 100;
+
+// Rough budget for everything we send (the reply gets max_tokens on top of this)
+const CONTEXT_TOKEN_BUDGET = parseInt(process.env.AI_CONTEXT_TOKENS, 10) || 12000;
+
+// Share of the budget the current code may use before it gets truncated
+const CODE_BUDGET_SHARE = 0.6;
+
+// Function: Estimate tokens without a tokenizer (~4 characters per token)
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+// Function: Id of a user's thread for a project
+// Derived, so the thread is found again without an index (and always passes isValidId)
+function projectConversationId(userId, projectId) {
+    return 'conv_p_' + crypto.createHash('sha256').update(`${userId}:${projectId}`).digest('hex').slice(0, 32);
+}
+
+// Function: Find the user's thread for this request, or start one
+// Threads belonging to someone else are never returned. A new thread is only stored once
+// the turn has been appended and it is saved (storage.saveConversation).
+async function getOrCreateConversation(storage, conversationId, projectId, userId) {
+    const existing = isValidId(conversationId) ? await storage.getConversation(conversationId) : null;
+    if (existing && existing.userId === userId) {
+        return existing;
+    }
+
+    const projectThreadId = projectId ? projectConversationId(userId, projectId) : null;
+    const projectThread = projectThreadId ? await storage.getConversation(projectThreadId) : null;
+    if (projectThread && projectThread.userId === userId) {
+        return projectThread;
+    }
+
+    return {
+        id: projectThreadId || `conv_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        userId,
+        projectId: projectId || null,
+        messages: [],
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+}
+
+// Function: Get a thread by id (null if unknown)
+async function getConversation(storage, conversationId) {
+    return isValidId(conversationId) ? storage.getConversation(conversationId) : null;
+}
+
+// Function: Append a turn to a thread
+function appendMessage(conversation, role, content) {
+    conversation.messages.push({
+        role,
+        content,
+        timestamp: new Date().toISOString()
+    });
+
+    if (conversation.messages.length > MAX_STORED_MESSAGES) {
+        conversation.messages = conversation.messages.slice(-MAX_STORED_MESSAGES);
+    }
+
+    conversation.updatedAt = new Date().toISOString();
+}
+
+// Function: Cut the middle out of a file so it fits maxChars
+// Head and tail are kept because that is where <head>, imports and closing tags live.
+function truncateMiddle(text, maxChars) {
+    if (text.length <= maxChars) return text;
+
+    const keep = Math.max(maxChars - 60, 0);
+    const head = text.slice(0, Math.ceil(keep * 0.6));
+    const tail = text.slice(text.length - Math.floor(keep * 0.4));
+    const omitted = text.length - head.length - tail.length;
+
+    return `${head}\n/* ... ${omitted} characters omitted ... */\n${tail}`;
+}
+
+// Function: Render the project's files for the prompt, within a token budget
+// Text files are shown (truncated in proportion to their size); images and fonts are only
+// listed, so the model can reference them by path.
+function formatProjectFiles(files = [], tokenBudget) {
+    const textFiles = files.filter(file => file.encoding !== 'base64');
+    const assets = files.filter(file => file.encoding === 'base64');
+
+    const total = textFiles.reduce((sum, file) => sum + file.content.length, 0);
+    if (total === 0 && assets.length === 0) return 'None (start from scratch)';
+
+    // Each file gets a share of the budget proportional to its size
+    const maxChars = tokenBudget * 4;
+    const sections = textFiles.map(({ path, content }) => {
+        const limit = total > maxChars ? Math.floor(maxChars * content.length / total) : content.length;
+        return `--- ${path} ---\n${content ? truncateMiddle(content, limit) : 'None'}`;
+    });
+
+    if (assets.length > 0) {
+        sections.push(`--- Assets (binary, reference them by path) ---\n${assets.map(file => file.path).join('\n')}`);
+    }
+
+    return sections.join('\n\n');
+}
+
+// Function: Select history turns that fit the remaining budget
+// Recent turns are sent verbatim, older user requests are folded into one summary line.
+function selectHistory(messages, tokenBudget) {
+    const selected = [];
+    let used = 0;
+    let i = messages.length - 1;
+
+    for (; i >= 0; i--) {
+        const cost = estimateTokens(messages[i].content) + 4;
+        if (used + cost > tokenBudget) break;
+
+        selected.unshift({ role: messages[i].role, content: messages[i].content });
+        used += cost;
+    }
+
+    const older = messages.slice(0, i + 1).filter(m => m.role === 'user');
+    if (older.length > 0) {
+        const summary = older.map(m => m.content.substring(0, 80)).join('; ');
+        selected.unshift({
+            role: 'system',
+            content: `Earlier in this conversation the user asked for: ${summary.substring(0, 1000)}`
+        });
+    }
+
+    return selected;
+}
+
+module.exports = {
+    CONTEXT_TOKEN_BUDGET,
+    CODE_BUDGET_SHARE,
+    estimateTokens,
+    getOrCreateConversation,
+    getConversation,
+    appendMessage,
+    formatProjectFiles,
+    selectHistory
+};
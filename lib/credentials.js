@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const { API_URLS, http } = require('./http');
+const { createGitHubClient } = require('./github');
+const { logger } = require('./logger');
+
+// Per-user GitHub / Vercel / Netlify credentials
+// Tokens are encrypted with AES-256-GCM before they reach storage and only decrypted
+// in memory when the deploy pipeline needs them. The API never returns them.
+
+const INTEGRATIONS = ['github', 'vercel', 'netlify'];
+
+const INTEGRATION_LABELS = {
+    github: 'GitHub',
+    vercel: 'Vercel',
+    netlify: 'Netlify'
+};
+
+const KEY_SOURCE = process.env.CREDENTIALS_KEY || process.env.SESSION_SECRET;
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+    .update(KEY_SOURCE || crypto.randomBytes(32))
+    .digest();
+
+if (!KEY_SOURCE) {
+    logger.warn('CREDENTIALS_KEY not set, linked GitHub/Vercel/Netlify tokens will not survive a restart');
+}
+
+// Function: Encrypt a secret as "v1:<iv>:<tag>:<ciphertext>" (base64url parts)
+function encryptSecret(plain) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    const data = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+
+    return ['v1', iv, cipher.getAuthTag(), data].map(part => typeof part === 'string' ? part : part.toString('base64url')).join(':');
+}
+
+// Function: Decrypt a secret made by encryptSecret (null if it can't be read)
+function decryptSecret(sealed) {
+    try {
+        const [version, iv, tag, data] = String(sealed || '').split(':');
+        if (version !== 'v1') return null;
+
+        const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, Buffer.from(iv, 'base64url'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+
+        return Buffer.concat([decipher.update(Buffer.from(data, 'base64url')), decipher.final()]).toString('utf8');
+    } catch (error) {
+        return null;
+    }
+}
+
+// Function: Check a GitHub token, returning the account it belongs to
+async function testGitHubToken(token) {
+    const octokit = createGitHubClient(token);
+    const { data, headers } = await octokit.rest.users.getAuthenticated();
+
+    const scopes = (headers['x-oauth-scopes'] || '').split(',').map(s => s.trim()).filter(Boolean);
+
+    return {
+        account: data.login,
+        url: data.html_url,
+        scopes
+    };
+}
+
+// Function: Check a Vercel token (and team, if given), returning the account it belongs to
+async function testVercelToken(token, teamId) {
+    const headers = { 'Authorization': `Bearer ${token}` };
+    const { data } = await http.get('vercel', `${API_URLS.vercel}/v2/user`, { headers, timeout: 15000 });
+
+    if (teamId) {
+        await http.get('vercel', `${API_URLS.vercel}/v2/teams/${encodeURIComponent(teamId)}`, { headers, timeout: 15000 });
+    }
+
+    return {
+        account: data.user.username,
+        teamId: teamId || null
+    };
+}
+
+// Function: Check a Netlify token, returning the account it belongs to
+async function testNetlifyToken(token) {
+    const { data } = await http.get('netlify', `${API_URLS.netlify}/user`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+        timeout: 15000
+    });
+
+    return {
+        account: data.slug || data.email
+    };
+}
+
+// Function: Test a token for an integration
+function testIntegration(integration, token, options = {}) {
+    if (integration === 'github') return testGitHubToken(token);
+    if (integration === 'vercel') return testVercelToken(token, options.teamId);
+    if (integration === 'netlify') return testNetlifyToken(token);
+    throw new Error(`Unknown integration "${integration}"`);
+}
+
+// Function: Integration status as the API shows it (never the token)
+function describeIntegrations(user) {
+    const integrations = user.integrations || {};
+    const status = {};
+
+    for (const name of INTEGRATIONS) {
+        const entry = integrations[name];
+        status[name] = entry
+            ? {
+                connected: true,
+                account: entry.account,
+                teamId: entry.teamId || null,
+                projectId: entry.projectId || null,
+                connectedAt: entry.connectedAt,
+                lastTestedAt: entry.lastTestedAt
+            }
+            : { connected: false };
+    }
+
+    return status;
+}
+
+// Function: Decrypted token of one of the user's integrations (null if not linked)
+function getUserToken(user, integration) {
+    const entry = (user.integrations || {})[integration];
+    return entry ? decryptSecret(entry.token) : null;
+}
+
+module.exports = {
+    INTEGRATIONS,
+    INTEGRATION_LABELS,
+    encryptSecret,
+    decryptSecret,
+    testIntegration,
+    describeIntegrations,
+    getUserToken
+};
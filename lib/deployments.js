@@ -0,0 +1,103 @@
+// Deployment jobs
+// POST /api/deploy creates a job and hands the site to a deploy target (lib/targets.js);
+// from then on the job's status follows the host's real state, refreshed whenever the client polls.
+// A deployment is {
+//   id, userId, projectId, target, status, url, error,
+//   github: { url, repoName, branch, defaultBranch, commitSha, commitUrl, pullRequestUrl } | null,
+//   remote: { id, url, state, ... } | null   (the host's own deployment, shape depends on the target)
+//   logs: [{ at, type, text }], createdAt, updatedAt, readyAt
+// }
+// status runs creating_repo -> uploading -> queued -> building -> ready | error | canceled.
+// url is only set once the host reports the site ready, so the client never sees an address that doesn't work.
+
+const FINISHED = ['ready', 'error', 'canceled'];
+
+// Only the tail of the build output is kept on the job
+const MAX_LOG_LINES = 200;
+
+// Function: Make a new deployment id
+function createDeploymentId() {
+    return `dep_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Function: A fresh job, before anything has been sent anywhere
+function createDeployment({ userId, projectId, target }) {
+    const now = new Date().toISOString();
+
+    return {
+        id: createDeploymentId(),
+        userId,
+        projectId: projectId || null,
+        target,
+        status: 'creating_repo',
+        url: null,
+        error: null,
+        github: null,
+        remote: null,
+        logs: [],
+        createdAt: now,
+        updatedAt: now,
+        readyAt: null
+    };
+}
+
+// Function: Has the job reached a final state?
+function isFinished(deployment) {
+    return FINISHED.includes(deployment.status);
+}
+
+// Function: Append a line to the job's log
+function logStep(deployment, text, type = 'info') {
+    deployment.logs.push({ at: new Date().toISOString(), type, text });
+    if (deployment.logs.length > MAX_LOG_LINES) deployment.logs.splice(0, deployment.logs.length - MAX_LOG_LINES);
+    deployment.updatedAt = new Date().toISOString();
+}
+
+// Function: Move the job to a new status
+function setStatus(deployment, status, text) {
+    deployment.status = status;
+    deployment.updatedAt = new Date().toISOString();
+    if (text) logStep(deployment, text, status === 'error' ? 'error' : 'info');
+}
+
+// Function: Mark the job failed with a readable reason
+function failDeployment(deployment, error) {
+    deployment.error = describeDeployError(error);
+    deployment.url = null;
+    setStatus(deployment, 'error', deployment.error);
+}
+
+// Function: Explain an error from GitHub or a host (Vercel nests its message, Netlify doesn't)
+function describeDeployError(error) {
+    const status = error.status || (error.response && error.response.status);
+    const data = (error.response && error.response.data) || {};
+    const apiMessage = (data.error && data.error.message) || (typeof data.message === 'string' && data.message);
+
+    if (apiMessage) return `${apiMessage} (HTTP ${status})`;
+    if (status) return `${error.message} (HTTP ${status})`;
+    return error.message;
+}
+
+// Function: Swap the job's build output for the latest copy from the host
+function replaceBuildLogs(deployment, buildLogs) {
+    const ownLogs = deployment.logs.filter(line => !line.type.startsWith('build'));
+    deployment.logs = ownLogs.concat(buildLogs).slice(-MAX_LOG_LINES);
+}
+
+// Function: The host says the site is live
+function markReady(deployment, url, readyAt = Date.now()) {
+    deployment.url = url;
+    deployment.readyAt = new Date(readyAt).toISOString();
+    setStatus(deployment, 'ready', `Live at ${url}`);
+}
+
+module.exports = {
+    MAX_LOG_LINES,
+    createDeployment,
+    isFinished,
+    logStep,
+    setStatus,
+    failDeployment,
+    replaceBuildLogs,
+    markReady
+};
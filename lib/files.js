@@ -0,0 +1,265 @@
+const path = require('path');
+
+// Project file trees
+// A project is a set of files: [{ path, content, encoding? }]. Text files (pages, partials,
+// stylesheets, scripts, SVG) hold their source in content; binary files (images, fonts) hold
+// base64 with encoding: 'base64'. Paths are relative and use "/".
+// index.html, style.css and script.js are the main files; project.code = { html, css, js }
+// mirrors them so older clients and revisions keep working.
+// Files under partials/ are never published on their own; a page pulls one in with
+//   <!-- include partials/header.html -->
+// and the include is expanded when the site is built.
+
+const MAIN_FILES = { html: 'index.html', css: 'style.css', js: 'script.js' };
+
+const PARTIALS_DIR = 'partials/';
+
+const TEXT_EXTENSIONS = ['.html', '.htm', '.css', '.js', '.mjs', '.json', '.txt', '.md', '.svg', '.xml', '.webmanifest'];
+
+const ASSET_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.avif', '.ico', '.woff', '.woff2', '.ttf', '.otf', '.mp4', '.webm', '.mp3', '.pdf'];
+
+const CONTENT_TYPES = {
+    '.html': 'text/html', '.htm': 'text/html', '.css': 'text/css', '.js': 'text/javascript',
+    '.mjs': 'text/javascript', '.json': 'application/json', '.txt': 'text/plain', '.md': 'text/markdown',
+    '.svg': 'image/svg+xml', '.xml': 'application/xml', '.webmanifest': 'application/manifest+json',
+    '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif',
+    '.webp': 'image/webp', '.avif': 'image/avif', '.ico': 'image/x-icon', '.woff': 'font/woff',
+    '.woff2': 'font/woff2', '.ttf': 'font/ttf', '.otf': 'font/otf', '.mp4': 'video/mp4',
+    '.webm': 'video/webm', '.mp3': 'audio/mpeg', '.pdf': 'application/pdf'
+};
+
+const PATH_PATTERN = /^[A-Za-z0-9._-]+(\/[A-Za-z0-9._-]+)*$/;
+
+const MAX_FILES = 200;
+const MAX_PATH_LENGTH = 200;
+
+// Per-file limit (decoded size), and the limit for a whole project. The JSON body limit keeps
+// saves under the latter anyway; live sessions (lib/collab.js) grow files an edit at a time.
+const MAX_FILE_BYTES = 4 * 1024 * 1024;
+const MAX_PROJECT_BYTES = 10 * 1024 * 1024;
+
+// Includes inside includes are expanded up to this depth
+const MAX_INCLUDE_DEPTH = 5;
+
+// What the includes of all the pages of a site may expand to in all: a partial included many
+// times by partials included many times grows exponentially
+const MAX_EXPANDED_BYTES = 16 * 1024 * 1024;
+
+const INCLUDE_PATTERN = /<!--\s*include\s+([^\s>]+)\s*-->/g;
+
+// Function: Error that the API reports as 400
+function invalidFiles(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Function: Clean up a path, or null if it is not allowed
+// Leading "./" and "/" are dropped; ".." segments, backslashes and odd characters are refused.
+function normalizePath(value) {
+    if (typeof value !== 'string') return null;
+
+    const cleaned = value.trim().replace(/^(\.\/|\/)+/, '');
+    if (!cleaned || cleaned.length > MAX_PATH_LENGTH || !PATH_PATTERN.test(cleaned)) return null;
+    if (cleaned.split('/').some(segment => segment === '.' || segment === '..')) return null;
+
+    return cleaned;
+}
+
+// Function: Lower-cased extension of a path ('' if none)
+function extensionOf(filePath) {
+    return path.posix.extname(filePath).toLowerCase();
+}
+
+// Function: Is this a text file (edited as source)?
+function isTextPath(filePath) {
+    return TEXT_EXTENSIONS.includes(extensionOf(filePath));
+}
+
+// Function: Is this a binary asset a project can hold (images, fonts, media)?
+function isAssetPath(filePath) {
+    return ASSET_EXTENSIONS.includes(extensionOf(filePath));
+}
+
+// Function: Is this a page (or partial) the parser should check?
+function isHTMLPath(filePath) {
+    return ['.html', '.htm'].includes(extensionOf(filePath));
+}
+
+// Function: Is this a partial (only used through includes)?
+function isPartial(filePath) {
+    return filePath.startsWith(PARTIALS_DIR);
+}
+
+// Function: Content-Type for a path
+function contentTypeFor(filePath) {
+    return CONTENT_TYPES[extensionOf(filePath)] || 'application/octet-stream';
+}
+
+// Function: Bytes of a file's content
+function fileBuffer(file) {
+    return Buffer.from(String(file.content || ''), file.encoding === 'base64' ? 'base64' : 'utf8');
+}
+
+// Function: Files for a legacy { html, css, js } project
+function filesFromCode(code = {}) {
+    return Object.entries(MAIN_FILES).map(([key, filePath]) => ({
+        path: filePath,
+        content: typeof code[key] === 'string' ? code[key] : ''
+    }));
+}
+
+// Function: The legacy { html, css, js } view of a file tree
+function codeFromFiles(files) {
+    const code = {};
+
+    for (const [key, filePath] of Object.entries(MAIN_FILES)) {
+        const file = files.find(f => f.path === filePath);
+        code[key] = file ? file.content : '';
+    }
+
+    return code;
+}
+
+// Function: A project's (or revision's) files, whichever shape it was stored in
+function projectFiles(project) {
+    if (Array.isArray(project.files)) return project.files;
+    return filesFromCode(project.code);
+}
+
+// Function: Validate a client-supplied file list
+// Returns a clean [{ path, content, encoding? }] sorted by path; throws (status 400) on bad input.
+function normalizeFiles(input) {
+    if (!Array.isArray(input)) throw invalidFiles('"files" must be an array of { path, content }');
+    if (input.length > MAX_FILES) throw invalidFiles(`A project can have at most ${MAX_FILES} files`);
+
+    const seen = new Set();
+    const files = input.map(file => {
+        const filePath = normalizePath(file && file.path);
+
+        if (!filePath) throw invalidFiles(`Invalid file path: ${JSON.stringify(file && file.path)}`);
+        if (seen.has(filePath)) throw invalidFiles(`Duplicate file path: ${filePath}`);
+        if (typeof file.content !== 'string') throw invalidFiles(`${filePath}: content must be a string`);
+        seen.add(filePath);
+
+        if (isTextPath(filePath)) {
+            // Text may still arrive base64-encoded (e.g. an uploaded SVG)
+            const content = file.encoding === 'base64' ? Buffer.from(file.content, 'base64').toString('utf8') : file.content;
+            if (Buffer.byteLength(content) > MAX_FILE_BYTES) {
+                throw invalidFiles(`${filePath} is larger than ${MAX_FILE_BYTES / 1024 / 1024} MB`);
+            }
+            return { path: filePath, content };
+        }
+
+        if (!isAssetPath(filePath)) {
+            throw invalidFiles(`${filePath}: unsupported file type`);
+        }
+        if (file.encoding !== 'base64') throw invalidFiles(`${filePath}: binary files must be sent with encoding "base64"`);
+        if (Buffer.byteLength(file.content, 'base64') > MAX_FILE_BYTES) {
+            throw invalidFiles(`${filePath} is larger than ${MAX_FILE_BYTES / 1024 / 1024} MB`);
+        }
+
+        return { path: filePath, content: file.content, encoding: 'base64' };
+    });
+
+    files.sort((a, b) => a.path.localeCompare(b.path));
+
+    if (totalSize(files) > MAX_PROJECT_BYTES) {
+        throw invalidFiles(`A project can be at most ${MAX_PROJECT_BYTES / 1024 / 1024} MB`);
+    }
+
+    // Includes that would blow up every build are refused here, before anything is stored
+    buildSite(files);
+    return files;
+}
+
+// Function: Apply changed files and deletions to a file list
+// changes: [{ path, content, encoding? }] (added or replaced); deletions: [path]
+function mergeFiles(files, changes = [], deletions = []) {
+    const byPath = new Map(files.map(file => [file.path, file]));
+
+    deletions.forEach(filePath => byPath.delete(filePath));
+    changes.forEach(file => byPath.set(file.path, file));
+
+    return [...byPath.values()].sort((a, b) => a.path.localeCompare(b.path));
+}
+
+// Function: Are two file lists the same?
+function sameFiles(a, b) {
+    if (a.length !== b.length) return false;
+
+    const byPath = new Map(b.map(file => [file.path, file]));
+    return a.every(file => {
+        const other = byPath.get(file.path);
+        return other && other.content === file.content && (other.encoding || '') === (file.encoding || '');
+    });
+}
+
+// Function: Total size in bytes of a file list
+function totalSize(files) {
+    return files.reduce((sum, file) => sum + Buffer.byteLength(String(file.content || ''), file.encoding === 'base64' ? 'base64' : 'utf8'), 0);
+}
+
+// Function: Expand <!-- include path --> comments in a page
+// Paths are relative to the project root. Unknown includes, and includes of a file that is
+// already being expanded (a loop), are left as they are.
+// expansion: { stack: [paths being expanded, the page first], left: bytes still allowed }, shared
+// by the pages of a site. Throws (status 400) once the includes have expanded past that.
+function expandIncludes(html, files, expansion = { stack: [], left: MAX_EXPANDED_BYTES }) {
+    if (expansion.stack.length > MAX_INCLUDE_DEPTH) return html;
+
+    return html.replace(INCLUDE_PATTERN, (match, includePath) => {
+        const target = files.find(file => file.path === normalizePath(includePath));
+        if (!target || target.encoding === 'base64' || expansion.stack.includes(target.path)) return match;
+
+        expansion.stack.push(target.path);
+        const expanded = expandIncludes(target.content, files, expansion);
+        expansion.stack.pop();
+
+        expansion.left -= expanded.length;
+        if (expansion.left < 0) {
+            throw invalidFiles(`The includes expand the pages to more than ${MAX_EXPANDED_BYTES / 1024 / 1024} MB, is a partial included too many times?`);
+        }
+        return expanded;
+    });
+}
+
+// Function: The files a host should serve
+// Pages get their includes expanded and partials are left out. Throws (status 400) when the
+// includes expand too far (see expandIncludes).
+function buildSite(files) {
+    const expansion = { stack: [], left: MAX_EXPANDED_BYTES };
+
+    return files
+        .filter(file => !isPartial(file.path))
+        .map(file => {
+            if (!isHTMLPath(file.path)) return file;
+
+            expansion.stack = [file.path];
+            return { ...file, content: expandIncludes(file.content, files, expansion) };
+        });
+}
+
+module.exports = {
+    MAIN_FILES,
+    MAX_FILES,
+    MAX_FILE_BYTES,
+    MAX_PROJECT_BYTES,
+    normalizePath,
+    extensionOf,
+    isTextPath,
+    isAssetPath,
+    isHTMLPath,
+    isPartial,
+    contentTypeFor,
+    fileBuffer,
+    filesFromCode,
+    codeFromFiles,
+    projectFiles,
+    normalizeFiles,
+    mergeFiles,
+    sameFiles,
+    totalSize,
+    expandIncludes,
+    buildSite
+};
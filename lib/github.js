@@ -0,0 +1,206 @@
+const { Octokit } = require('@octokit/rest');
+const { API_URLS, http } = require('./http');
+
+// Publishing a site to GitHub
+// Every deploy is one commit made through the Git Data API (blobs -> tree -> commit -> ref),
+// so a repo never sees half a site. A project remembers its repo as
+//   project.repository = { owner, repo, url, defaultBranch, lastCommitSha, lastDeployedAt }
+// and later deploys commit to the same repo, either on the default branch or on a
+// branch with a pull request.
+
+// Commit subjects longer than this are cut (GitHub folds them anyway)
+const MAX_SUBJECT_LENGTH = 72;
+
+const DEFAULT_COMMIT_MESSAGE = 'Update site from Happy AI Builder';
+
+// Function: Make a GitHub client for a token
+// Its requests go through lib/http.js for logging and metrics, to GITHUB_API_URL if set.
+function createGitHubClient(token) {
+    const octokit = new Octokit({ auth: token, baseUrl: API_URLS.github });
+    octokit.hook.wrap('request', (request, options) =>
+        http.track('github', `${options.method} ${options.url}`, () => request(options)));
+    return octokit;
+}
+
+// Function: Create a new repo for a project
+// auto_init gives the repo a first commit, the Git Data API refuses to work on an empty repo.
+async function createRepository(octokit, project) {
+    const { data } = await octokit.rest.repos.createForAuthenticatedUser({
+        name: `happy-website-${Date.now()}`,
+        description: `Website created with Happy AI Builder - ${project.name || 'AI Generated'}`,
+        private: false,
+        auto_init: true
+    });
+
+    return {
+        owner: data.owner.login,
+        repo: data.name,
+        url: data.html_url,
+        defaultBranch: data.default_branch || 'main'
+    };
+}
+
+// Function: Look up a linked repo (null if it was deleted or the token can't see it)
+async function getRepository(octokit, { owner, repo }) {
+    try {
+        const { data } = await octokit.rest.repos.get({ owner, repo });
+
+        return {
+            owner: data.owner.login,
+            repo: data.name,
+            url: data.html_url,
+            defaultBranch: data.default_branch || 'main'
+        };
+    } catch (error) {
+        if (error.status === 404) return null;
+        throw error;
+    }
+}
+
+// Function: Head commit sha of a branch (null if the branch doesn't exist)
+async function getBranchHead(octokit, { owner, repo }, branch) {
+    try {
+        const { data } = await octokit.rest.git.getRef({ owner, repo, ref: `heads/${branch}` });
+        return data.object.sha;
+    } catch (error) {
+        if (error.status === 404) return null;
+        throw error;
+    }
+}
+
+// Function: Commit a complete set of files to a branch in one go
+// files: [{ path, content, encoding? }] where encoding 'base64' marks binary content.
+// The tree replaces the previous one, so files dropped from the site are removed from the repo.
+// Returns { sha, url, changed }; nothing is committed (and no branch created) when the tree
+// is identical to the parent's.
+async function commitFiles(octokit, repository, { branch, files, message }) {
+    const { owner, repo } = repository;
+
+    let parentSha = await getBranchHead(octokit, repository, branch);
+    let createBranch = false;
+
+    if (!parentSha) {
+        // New branch: start from the default branch
+        parentSha = await getBranchHead(octokit, repository, repository.defaultBranch);
+        createBranch = true;
+
+        if (!parentSha) {
+            throw new Error(`Branch "${repository.defaultBranch}" not found in ${owner}/${repo}`);
+        }
+    }
+
+    const tree = await Promise.all(files.map(async file => {
+        if (file.encoding === 'base64') {
+            const { data: blob } = await octokit.rest.git.createBlob({ owner, repo, content: file.content, encoding: 'base64' });
+            return { path: file.path, mode: '100644', type: 'blob', sha: blob.sha };
+        }
+
+        return { path: file.path, mode: '100644', type: 'blob', content: file.content };
+    }));
+
+    const { data: newTree } = await octokit.rest.git.createTree({ owner, repo, tree });
+    const { data: parent } = await octokit.rest.git.getCommit({ owner, repo, commit_sha: parentSha });
+
+    if (parent.tree.sha === newTree.sha) {
+        return {
+            sha: parentSha,
+            url: `${repositoryUrl(repository)}/commit/${parentSha}`,
+            changed: false
+        };
+    }
+
+    const { data: commit } = await octokit.rest.git.createCommit({
+        owner,
+        repo,
+        message,
+        tree: newTree.sha,
+        parents: [parentSha]
+    });
+
+    if (createBranch) {
+        await octokit.rest.git.createRef({ owner, repo, ref: `refs/heads/${branch}`, sha: commit.sha });
+    } else {
+        await octokit.rest.git.updateRef({ owner, repo, ref: `heads/${branch}`, sha: commit.sha });
+    }
+
+    return {
+        sha: commit.sha,
+        url: commit.html_url || `${repositoryUrl(repository)}/commit/${commit.sha}`,
+        changed: true
+    };
+}
+
+// Function: Open a pull request for a branch, or return the one already open
+async function openPullRequest(octokit, repository, { branch, title, body }) {
+    const { owner, repo, defaultBranch } = repository;
+
+    const { data: open } = await octokit.rest.pulls.list({
+        owner,
+        repo,
+        head: `${owner}:${branch}`,
+        base: defaultBranch,
+        state: 'open'
+    });
+
+    if (open.length > 0) {
+        return { number: open[0].number, url: open[0].html_url };
+    }
+
+    const { data } = await octokit.rest.pulls.create({
+        owner,
+        repo,
+        head: branch,
+        base: defaultBranch,
+        title,
+        body
+    });
+
+    return { number: data.number, url: data.html_url };
+}
+
+// Function: Commit message from the prompts that produced the changes
+// prompts: newest last. The newest becomes the subject; earlier ones are listed in the body.
+function buildCommitMessage(prompts) {
+    const cleaned = prompts
+        .map(prompt => String(prompt || '').replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+
+    if (cleaned.length === 0) return DEFAULT_COMMIT_MESSAGE;
+
+    const latest = cleaned[cleaned.length - 1];
+    const subject = latest.length > MAX_SUBJECT_LENGTH
+        ? latest.slice(0, MAX_SUBJECT_LENGTH - 3) + '...'
+        : latest;
+
+    const details = [];
+    if (subject !== latest) details.push(latest);
+    if (cleaned.length > 1) {
+        details.push('Also includes:', ...cleaned.slice(0, -1).reverse().map(prompt => `- ${prompt}`));
+    }
+
+    return details.length ? `${subject}\n\n${details.join('\n')}` : subject;
+}
+
+// Function: Describe a GitHub failure in terms the user can act on
+function describeGitHubError(error) {
+    if (error.status === 401) return 'Invalid GitHub token. Please reconnect GitHub in Settings.';
+    if (error.status === 403) return 'The GitHub token is not allowed to do this (it needs the "repo" scope).';
+    if (error.status === 409) return 'GitHub rejected the commit because the branch moved. Please deploy again.';
+    if (error.status === 422) return `GitHub rejected the request: ${error.message}`;
+    return `GitHub request failed: ${error.message}`;
+}
+
+// Function: Web URL of a repo
+function repositoryUrl({ owner, repo }) {
+    return `https://github.com/${owner}/${repo}`;
+}
+
+module.exports = {
+    createGitHubClient,
+    createRepository,
+    getRepository,
+    commitFiles,
+    openPullRequest,
+    buildCommitMessage,
+    describeGitHubError
+};
@@ -0,0 +1,88 @@
+const axios = require('axios');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+
+// Outbound HTTP
+// Every call to an outside API goes through one client: the AI providers, GitHub (through
+// Octokit's request hook, see lib/github.js), Vercel and Netlify. That gives
+//   - one place for timing, logging and the happy_external_* metrics
+//   - base URLs that can point elsewhere (GitHub Enterprise, a proxy, stand-in servers in tests)
+//   - a transport that can be swapped: http.setTransport(config => ...) answers every call
+//     without a network, which is how the test suite could mock a host it has no stand-in for
+// Calls name the service they talk to ('vercel', 'github', 'deepseek', ...); it labels the metrics.
+
+// Base URLs of the hosting APIs (the AI providers have theirs in lib/providers.js)
+const API_URLS = {
+    github: process.env.GITHUB_API_URL || 'https://api.github.com',
+    vercel: process.env.VERCEL_API_URL || 'https://api.vercel.com',
+    netlify: process.env.NETLIFY_API_URL || 'https://api.netlify.com/api/v1'
+};
+
+const requestsTotal = metrics.counter('happy_external_requests_total',
+    'Calls to outside APIs by service and HTTP status ("error" when there was no answer)', ['service', 'status']);
+const requestSeconds = metrics.histogram('happy_external_request_seconds',
+    'Time until an outside API answered (or a streamed answer started)', ['service']);
+
+// Function: HTTP status of a failed call (axios and Octokit errors), null without an answer
+function statusOf(error) {
+    return error.status || (error.response && error.response.status) || null;
+}
+
+// Function: Create a client
+// transport(config) takes an axios request config and resolves with an axios-shaped response
+// ({ status, data, headers }), or rejects with an error carrying response.status.
+function createHttpClient(transport = config => axios.request(config)) {
+    const log = logger.child({ module: 'http' });
+
+    const client = {
+        // Function: Time, log and count one call (fn makes it; Octokit calls come in this way)
+        async track(service, description, fn) {
+            const done = requestSeconds.startTimer({ service });
+
+            try {
+                const response = await fn();
+                const seconds = done();
+                requestsTotal.inc({ service, status: response.status || 200 });
+                log.debug('Outside API answered', { service, request: description, status: response.status, durationMs: Math.round(seconds * 1000) });
+                return response;
+            } catch (error) {
+                const seconds = done();
+                const status = statusOf(error);
+                // Aborted by us (the browser went away) says nothing about the service
+                if (!axios.isCancel(error) && error.name !== 'CanceledError') {
+                    requestsTotal.inc({ service, status: status || 'error' });
+                    log.warn('Outside API call failed', { service, request: description, status, error, durationMs: Math.round(seconds * 1000) });
+                }
+                throw error;
+            }
+        },
+
+        request(service, config) {
+            const method = (config.method || 'get').toUpperCase();
+            return client.track(service, `${method} ${String(config.url).split('?')[0]}`, () => transport(config));
+        },
+
+        get: (service, url, config = {}) => client.request(service, { ...config, method: 'get', url }),
+        post: (service, url, data, config = {}) => client.request(service, { ...config, method: 'post', url, data }),
+        put: (service, url, data, config = {}) => client.request(service, { ...config, method: 'put', url, data }),
+
+        // Function: Replace the transport; returns the previous one so it can be put back
+        setTransport(next) {
+            const previous = transport;
+            transport = next;
+            return previous;
+        }
+    };
+
+    return client;
+}
+
+// The client every module uses
+const http = createHttpClient();
+
+module.exports = {
+    API_URLS,
+    http,
+    createHttpClient,
+    statusOf
+};
@@ -0,0 +1,485 @@
+const path = require('path');
+const { readZip } = require('./zip');
+const { describeGitHubError } = require('./github');
+const {
+    MAIN_FILES,
+    MAX_FILES,
+    MAX_FILE_BYTES,
+    normalizePath,
+    extensionOf,
+    isTextPath,
+    isAssetPath,
+    isHTMLPath,
+    normalizeFiles
+} = require('./files');
+
+// Importing existing sites
+// An import turns a site made elsewhere into a project file tree, from one of
+//   { zip }                 a ZIP archive as base64 (a site download, a theme, a hosting backup)
+//   { html }                one pasted page
+//   { repo, ref?, path? }   a GitHub repo ("owner/name" or its URL), read as one zipball
+// Every source becomes a list of entries { path, size, read() } first, then one pass makes a
+// project of them:
+//   1. the site root is the folder with the shallowest index.html, so wrapper folders go away
+//   2. junk (__MACOSX, dotfiles, node_modules) and file types a project can't hold are skipped
+//   3. paths are cleaned up to what normalizePath accepts; references follow renamed files
+//   4. relative references to assets point at the project paths; small assets a project can't
+//      hold as files (.bmp, .eot, ...) are inlined as data: URLs
+//   5. inline <style> and <script> blocks move out to files of their own (index.html's to
+//      style.css and script.js) and the page links them instead
+// The report says what was skipped, renamed, split out or inlined, and which references point
+// at files the import didn't have.
+
+// Folders that are never part of a site
+const JUNK_SEGMENTS = ['__MACOSX', 'node_modules'];
+
+// Types a project can't hold as files, inlined where they are used when small enough
+const INLINE_TYPES = {
+    '.bmp': 'image/bmp', '.jfif': 'image/jpeg', '.apng': 'image/apng', '.cur': 'image/x-icon',
+    '.eot': 'application/vnd.ms-fontobject', '.wav': 'audio/wav', '.ogg': 'audio/ogg'
+};
+const MAX_INLINE_BYTES = 256 * 1024;
+
+// GitHub reports repo sizes in KB; bigger repos are not downloaded at all
+const MAX_REPO_KB = 50 * 1024;
+
+// Uncompressed size of everything an import may unpack, from the sizes the archive declares
+// (readZip never inflates an entry past its declared size), checked before anything is inflated
+const MAX_IMPORT_BYTES = 100 * 1024 * 1024;
+
+// Each list in the report keeps at most this many entries
+const MAX_REPORT_ITEMS = 100;
+
+// Where the link and script tags for split-out code go, until their paths are known
+const STYLE_SLOT = '<!--happy-import-style-->';
+const SCRIPT_SLOT = '<!--happy-import-script-->';
+
+// Function: Error that the API reports with a status (400 unless given)
+function invalidImport(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Function: Add an item to a report list, up to MAX_REPORT_ITEMS
+function note(list, item) {
+    if (list.length < MAX_REPORT_ITEMS) list.push(item);
+}
+
+// Function: Entries of a ZIP archive sent as base64 (a data: URL prefix is allowed)
+function zipEntries(base64) {
+    const buffer = Buffer.from(String(base64).replace(/^data:[^,]*,/, ''), 'base64');
+    if (buffer.length === 0) throw invalidImport('The ZIP file is empty');
+
+    return readZip(buffer);
+}
+
+// Function: The single entry of a pasted page
+function htmlEntries(html) {
+    const data = Buffer.from(html, 'utf8');
+    return [{ path: MAIN_FILES.html, size: data.length, read: () => data }];
+}
+
+// Function: owner, repo, ref and folder of "owner/name" or a github.com URL (null if neither)
+// URLs of a folder (github.com/owner/name/tree/branch/folder) carry the ref and folder too.
+function parseRepoReference(value) {
+    const cleaned = String(value || '').trim().replace(/\/+$/, '').replace(/\.git$/, '');
+    const match = /^(?:(?:https?:\/\/)?(?:www\.)?github\.com\/)?([A-Za-z0-9-]+)\/([A-Za-z0-9._-]+)(?:\/tree\/([^/]+)(?:\/(.+))?)?$/.exec(cleaned);
+    if (!match) return null;
+
+    return { owner: match[1], repo: match[2], ref: match[3] || '', folder: match[4] || '' };
+}
+
+// Function: Entries of a GitHub repo (or one folder of it)
+// The zipball is one request however many files the repo has, which matters without a token
+// (60 requests an hour). Its entries sit in an "owner-repo-sha/" folder, which is dropped here.
+async function githubEntries(octokit, source) {
+    const target = parseRepoReference(source.repo);
+    if (!target) throw invalidImport('repo must be "owner/name" or a github.com URL');
+
+    const { owner, repo } = target;
+    const folder = String(source.path || target.folder).replace(/^\/+|\/+$/g, '');
+
+    // GitHub's errors as import errors: 404 for what isn't there (or can't be seen), 502 otherwise
+    const call = async request => {
+        try {
+            return (await request()).data;
+        } catch (error) {
+            if (error.status === 404) {
+                throw invalidImport(`${owner}/${repo} or that branch was not found on GitHub (private repos need GitHub connected in Settings)`, 404);
+            }
+            throw invalidImport(describeGitHubError(error), 502);
+        }
+    };
+
+    const info = await call(() => octokit.rest.repos.get({ owner, repo }));
+    if (info.size > MAX_REPO_KB) throw invalidImport(`${owner}/${repo} is larger than ${MAX_REPO_KB / 1024} MB, too big to import`);
+
+    const ref = String(source.ref || '').trim() || target.ref || info.default_branch;
+    const archive = Buffer.from(await call(() => octokit.rest.repos.downloadZipballArchive({ owner, repo, ref })));
+
+    const prefix = folder ? folder + '/' : '';
+    const entries = readZip(archive)
+        .map(entry => ({ ...entry, path: entry.path.split('/').slice(1).join('/') }))
+        .filter(entry => entry.path.startsWith(prefix))
+        .map(entry => ({ ...entry, path: entry.path.slice(prefix.length) }));
+
+    if (entries.length === 0) throw invalidImport(`${owner}/${repo} has no files in ${folder || 'its root'}`, 404);
+    return entries;
+}
+
+// Function: The page the site opens with: the shallowest index.html, else the shallowest page
+function findStartPage(paths) {
+    const depth = filePath => filePath.split('/').length;
+    const byDepth = (a, b) => depth(a) - depth(b) || a.length - b.length;
+
+    const index = paths.filter(filePath => /^index\.html?$/i.test(path.posix.basename(filePath))).sort(byDepth);
+    const pages = paths.filter(isHTMLPath).sort(byDepth);
+
+    return index[0] || pages[0] || null;
+}
+
+// Function: A path normalizePath accepts: odd characters in each folder and file name become "-"
+function cleanPath(filePath) {
+    return filePath.split('/').map(segment => {
+        const cleaned = segment.replace(/[^A-Za-z0-9._-]+/g, '-').replace(/^-+|-+(?=\.|$)/g, '');
+        return cleaned && !/^\.+$/.test(cleaned) ? cleaned : 'file';
+    }).join('/');
+}
+
+// Function: filePath, or filePath with -2, -3, ... before the extension when it is taken
+function uniquePath(filePath, taken) {
+    const extension = path.posix.extname(filePath);
+    const base = filePath.slice(0, filePath.length - extension.length);
+
+    let candidate = filePath;
+    for (let n = 2; taken.has(candidate.toLowerCase()); n++) candidate = `${base}-${n}${extension}`;
+
+    taken.add(candidate.toLowerCase());
+    return candidate;
+}
+
+// Function: Sort key: the start page, other pages, stylesheets and scripts, then the rest
+// Too many files cuts from the end, so a site loses pictures before it loses pages.
+function importPriority(filePath, startPage) {
+    if (filePath === startPage) return 0;
+    if (isHTMLPath(filePath)) return 1;
+    if (['.css', '.js', '.mjs'].includes(extensionOf(filePath))) return 2;
+    return isTextPath(filePath) ? 3 : 4;
+}
+
+// Function: The site path a relative reference points at, with its ?query#hash apart
+// null for references that leave the site: other origins, data: URLs, anchors, templates.
+function resolveReference(reference, fromPath) {
+    const ref = reference.trim();
+    if (!ref || /^(?:[a-z][a-z0-9+.-]*:|\/\/|#|\{\{|\$\{|<)/i.test(ref)) return null;
+
+    const [, target, suffix] = /^([^?#]*)(.*)$/.exec(ref);
+    if (!target) return null;
+
+    let decoded = target;
+    try {
+        decoded = decodeURIComponent(target);
+    } catch (error) {
+        // Left as written
+    }
+
+    // Root-relative references ("/img/logo.png") start at the site root
+    const base = decoded.startsWith('/') ? '' : path.posix.dirname(fromPath);
+    const resolved = path.posix.normalize(path.posix.join(base, decoded)).replace(/^\/+/, '');
+    if (resolved === '.' || resolved.startsWith('../')) return null;
+
+    return { path: resolved, suffix };
+}
+
+// Function: Rewrite the references in a page or stylesheet
+// replace(ref) returns the new reference, or null to leave it as it is.
+function rewriteReferences(text, isPage, replace) {
+    const swap = (ref, fallback) => {
+        const next = replace(ref);
+        return next === null ? fallback : next;
+    };
+
+    let result = text;
+    if (isPage) {
+        result = result
+            .replace(/(\s(?:href|src|poster|data-src)\s*=\s*)(["'])([^"']*)\2/gi, (match, start, quote, ref) =>
+                start + quote + swap(ref, ref) + quote)
+            .replace(/(\ssrcset\s*=\s*)(["'])([^"']*)\2/gi, (match, start, quote, list) =>
+                start + quote + list.split(',').map(candidate => {
+                    const [ref, ...descriptor] = candidate.trim().split(/\s+/);
+                    return [swap(ref, ref), ...descriptor].join(' ');
+                }).join(', ') + quote);
+    }
+
+    return result
+        .replace(/url\(\s*(["']?)([^"')]+)\1\s*\)/gi, (match, quote, ref) => {
+            const next = replace(ref);
+            return next === null ? match : `url(${quote}${next}${quote})`;
+        })
+        .replace(/(@import\s+)(["'])([^"']+)\2/gi, (match, start, quote, ref) => start + quote + swap(ref, ref) + quote);
+}
+
+// Function: Take a page's inline <style> and <script> blocks out
+// Returns { html, css, js }; html has STYLE_SLOT where the first style block was and
+// SCRIPT_SLOT where the last script was. Styles with a media attribute are wrapped in @media.
+// Only classic scripts move, and only when no external script runs between them (moving them
+// would change what each one sees); JSON, templates and modules stay where they are.
+function extractInlineCode(html) {
+    // A block on a line of its own takes the line with it
+    const styles = [];
+    let page = html.replace(/([ \t]*)<style\b([^>]*)>([\s\S]*?)<\/style>([ \t]*\n)?/gi, (match, indent, attributes, css, newline) => {
+        if (!css.trim()) return match;
+
+        const media = /\smedia\s*=\s*["']([^"']+)["']/i.exec(attributes);
+        const body = css.replace(/^\s*\n|\s+$/g, '');
+        styles.push(media && media[1].trim().toLowerCase() !== 'all' ? `@media ${media[1].trim()} {\n${body}\n}` : body);
+        return styles.length === 1 ? indent + STYLE_SLOT + (newline || '') : '';
+    });
+
+    const external = attributes => /\ssrc\s*=/i.test(attributes);
+    const classic = attributes => {
+        const type = /\stype\s*=\s*["']?([^"'\s>]+)/i.exec(attributes);
+        return !type || /^(?:text|application)\/(?:javascript|ecmascript)$/i.test(type[1]);
+    };
+
+    const tags = [...page.matchAll(/([ \t]*)<script\b([^>]*)>([\s\S]*?)<\/script>([ \t]*\n)?/gi)];
+    const inline = tags.filter(tag => !external(tag[2]) && classic(tag[2]) && tag[3].trim());
+    const first = inline[0];
+    const last = inline[inline.length - 1];
+    const interleaved = first && tags.some(tag => tag.index > first.index && tag.index < last.index && external(tag[2]));
+
+    let js = '';
+    if (first && !interleaved) {
+        js = inline.map(tag => tag[3].replace(/^\s*\n|\s+$/g, '')).join('\n\n');
+
+        // From the end, so the earlier indexes stay valid
+        for (const tag of [...inline].reverse()) {
+            const slot = tag === last ? tag[1] + SCRIPT_SLOT + (tag[4] || '') : '';
+            page = page.slice(0, tag.index) + slot + page.slice(tag.index + tag[0].length);
+        }
+    }
+
+    return { html: page, css: styles.join('\n\n'), js };
+}
+
+// Function: A page's <title> as plain text ('' without one)
+function pageTitle(html) {
+    const match = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html);
+    if (!match) return '';
+
+    return match[1]
+        .replace(/<[^>]*>/g, '')
+        .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#0?39;/g, "'")
+        // The title becomes the project name, which is text: decoded markup stays out of it
+        .replace(/[<>]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .substring(0, 100);
+}
+
+// Function: A pasted fragment as a full page (the editor and deploys expect documents)
+// Its <title>, <meta>, <link> and <style> tags go to the head.
+function wrapFragment(html) {
+    const head = [];
+    const body = html.replace(/<(?:title\b[\s\S]*?<\/title>|style\b[\s\S]*?<\/style>|link\b[^>]*>|meta\b[^>]*>)\s*/gi, tag => {
+        head.push('    ' + tag.trim());
+        return '';
+    });
+    if (!/<title/i.test(head.join(''))) head.unshift('    <title>Imported page</title>');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+${head.join('\n')}
+</head>
+<body>
+${body.trim()}
+</body>
+</html>
+`;
+}
+
+// Function: Read entries a few at a time (GitHub and ZIP entries alike)
+async function readEntries(items, concurrency = 8) {
+    for (let i = 0; i < items.length; i += concurrency) {
+        await Promise.all(items.slice(i, i + concurrency).map(async item => {
+            item.data = await item.entry.read();
+        }));
+    }
+}
+
+// Function: Make a project file tree of raw entries
+// Returns { files, title, report }; files are validated like a save (normalizeFiles).
+async function buildProject(entries, source) {
+    const report = { source, root: '', files: 0, skipped: [], renamed: [], split: [], inlined: [], missing: [] };
+    const skip = (filePath, reason) => note(report.skipped, { path: filePath, reason });
+
+    // 1. Junk goes silently, then the site root is the start page's folder
+    const candidates = [];
+    for (const entry of entries) {
+        const segments = entry.path.replace(/\\/g, '/').split('/').filter(segment => segment && segment !== '.');
+        const filePath = segments.join('/');
+
+        if (segments.includes('..')) {
+            skip(filePath, 'outside the site');
+        } else if (segments.length && !segments.some(segment => segment.startsWith('.') || JUNK_SEGMENTS.includes(segment))) {
+            candidates.push({ ...entry, path: filePath });
+        }
+    }
+
+    const startPage = findStartPage(candidates.map(entry => entry.path));
+    if (!startPage) throw invalidImport('No HTML page found to import');
+    report.root = startPage.includes('/') ? path.posix.dirname(startPage) + '/' : '';
+
+    // 2. What is kept as files, what can only be inlined, what is left out
+    const kept = [];
+    const inlineable = [];
+    for (const entry of candidates) {
+        if (!entry.path.startsWith(report.root)) {
+            skip(entry.path, 'outside the site folder');
+            continue;
+        }
+
+        const original = entry.path.slice(report.root.length);
+        const asFile = isTextPath(original) || isAssetPath(original);
+        const limit = asFile ? MAX_FILE_BYTES : MAX_INLINE_BYTES;
+
+        if (!asFile && !INLINE_TYPES[extensionOf(original)]) {
+            skip(original, 'unsupported file type');
+        } else if (entry.size > limit) {
+            skip(original, `larger than ${limit >= 1024 * 1024 ? `${limit / 1024 / 1024} MB` : `${limit / 1024} KB`}`);
+        } else {
+            (asFile ? kept : inlineable).push({ entry, original });
+        }
+    }
+
+    const start = startPage.slice(report.root.length);
+    kept.sort((a, b) => importPriority(a.original, start) - importPriority(b.original, start) || a.original.localeCompare(b.original));
+    // Room for the style.css and script.js split out of index.html
+    kept.splice(MAX_FILES - 2).forEach(item => skip(item.original, `too many files (a project holds ${MAX_FILES})`));
+
+    await readEntries([...kept, ...inlineable]);
+
+    // 3. Project paths; the start page becomes index.html whatever it was called
+    const taken = new Set();
+    const paths = new Map();
+    for (const item of [...kept]) {
+        const target = uniquePath(item.original === start ? MAIN_FILES.html : cleanPath(item.original), taken);
+
+        if (!normalizePath(target)) {
+            skip(item.original, 'path too long');
+            kept.splice(kept.indexOf(item), 1);
+            continue;
+        }
+        paths.set(item.original, target);
+        if (target !== item.original) note(report.renamed, { from: item.original, to: target });
+    }
+
+    const lowerPaths = new Map([...paths].map(([original, target]) => [original.toLowerCase(), target]));
+    const inlineData = new Map(inlineable.map(item => [item.original.toLowerCase(), item]));
+
+    // 4. References follow the new paths (case-insensitively, sites made on Windows or macOS often mix case)
+    const files = kept.map(item => {
+        const filePath = paths.get(item.original);
+        if (!isTextPath(filePath)) return { path: filePath, content: item.data.toString('base64'), encoding: 'base64' };
+
+        let content = item.data.toString('utf8').replace(/^\uFEFF/, '');
+        if (!isHTMLPath(filePath) && extensionOf(filePath) !== '.css') return { path: filePath, content };
+
+        content = rewriteReferences(content, isHTMLPath(filePath), ref => {
+            const target = resolveReference(ref, item.original);
+            if (!target) return null;
+
+            const key = target.path.toLowerCase();
+            if (lowerPaths.has(key)) {
+                const relative = path.posix.relative(path.posix.dirname(filePath), lowerPaths.get(key)) + target.suffix;
+                return relative === ref.trim() ? null : relative;
+            }
+            if (inlineData.has(key)) {
+                const asset = inlineData.get(key);
+                if (!report.inlined.includes(asset.original)) note(report.inlined, asset.original);
+                return `data:${INLINE_TYPES[extensionOf(asset.original)]};base64,${asset.data.toString('base64')}`;
+            }
+
+            // Links to folders ("about/") and extensionless routes are left to the host
+            if (extensionOf(target.path)) note(report.missing, { file: filePath, reference: ref.trim() });
+            return null;
+        });
+
+        if (filePath === MAIN_FILES.html && !/<!doctype|<html[\s>]/i.test(content)) content = wrapFragment(content);
+        return { path: filePath, content };
+    });
+
+    // 5. Inline code out of every page (room for index.html's was kept above; other pages keep
+    //    theirs inline once the project is full)
+    for (const page of files.filter(file => isHTMLPath(file.path))) {
+        const { html, css, js } = extractInlineCode(page.content);
+        const base = page.path === MAIN_FILES.html ? null : page.path.replace(/\.html?$/i, '');
+        if (!css && !js) continue;
+        if (base && files.length + (css ? 1 : 0) + (js ? 1 : 0) > MAX_FILES) continue;
+
+        const split = { page: page.path };
+        page.content = html;
+
+        if (css) {
+            split.css = uniquePath(base ? `${base}.css` : MAIN_FILES.css, taken);
+            files.push({ path: split.css, content: css + '\n' });
+            page.content = page.content.replace(STYLE_SLOT, `<link rel="stylesheet" href="${path.posix.basename(split.css)}">`);
+        }
+        if (js) {
+            split.js = uniquePath(base ? `${base}.js` : MAIN_FILES.js, taken);
+            files.push({ path: split.js, content: js + '\n' });
+            page.content = page.content.replace(SCRIPT_SLOT, `<script src="${path.posix.basename(split.js)}"></script>`);
+        }
+        note(report.split, split);
+    }
+
+    const project = normalizeFiles(files);
+    report.files = project.length;
+
+    return {
+        files: project,
+        title: pageTitle(project.find(file => file.path === MAIN_FILES.html).content),
+        report
+    };
+}
+
+// Function: Import a site
+// source: { zip } (base64), { html } or { repo, ref?, path? }; github is an Octokit client
+// (see createGitHubClient), only used for repos. Returns { files, name, report }.
+// Throws errors with a status: 400 for a bad source, 404 or 502 from GitHub.
+async function importSite(source = {}, { github } = {}) {
+    const given = ['zip', 'html', 'repo'].filter(key => typeof source[key] === 'string' && source[key].trim());
+    if (given.length !== 1) throw invalidImport('Send one of zip (base64), html or repo');
+
+    const kind = given[0];
+    let entries;
+    let fallbackName = 'Imported site';
+
+    if (kind === 'zip') {
+        entries = zipEntries(source.zip);
+    } else if (kind === 'html') {
+        entries = htmlEntries(source.html);
+    } else {
+        entries = await githubEntries(github, source);
+        fallbackName = parseRepoReference(source.repo).repo;
+    }
+
+    const total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    if (total > MAX_IMPORT_BYTES) {
+        throw invalidImport(`The site unpacks to more than ${MAX_IMPORT_BYTES / 1024 / 1024} MB, too big to import`);
+    }
+
+    const { files, title, report } = await buildProject(entries, kind);
+    const name = String(source.name || '').trim().substring(0, 100) || title || fallbackName;
+
+    return { files, name, report };
+}
+
+module.exports = {
+    importSite,
+    parseRepoReference
+};
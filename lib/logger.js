@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logging
+// One JSON object per line, errors and warnings on stderr, the rest on stdout:
+//   {"time":"2024-05-01T10:00:00.000Z","level":"info","msg":"Chat request received","requestId":"...","userId":"..."}
+// Within a request every line carries its request id (and the user once signed in), also lines
+// written by lib/ modules, through AsyncLocalStorage: no logger has to be passed around.
+// LOG_LEVEL is debug, info (default), warn, error or silent; LOG_FORMAT=pretty prints
+// readable lines instead of JSON for local development.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Request ids a client or proxy may hand in with X-Request-Id; anything else gets a fresh one
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,100}$/;
+
+const context = new AsyncLocalStorage();
+
+// Function: Make a log field JSON-friendly (errors become { message, status, code })
+function serialize(value) {
+    if (!(value instanceof Error)) return value;
+
+    return {
+        message: value.message,
+        ...(value.status || (value.response && value.response.status)
+            ? { status: value.status || value.response.status }
+            : {}),
+        ...(value.code ? { code: value.code } : {})
+    };
+}
+
+// Function: Create a logger
+// options.level / options.format default to LOG_LEVEL / LOG_FORMAT; options.write(level, line)
+// replaces the output (tests). fields are added to every line.
+function createLogger(options = {}, fields = {}) {
+    const level = LEVELS[options.level || process.env.LOG_LEVEL] || LEVELS.info;
+    const pretty = (options.format || process.env.LOG_FORMAT) === 'pretty';
+    const write = options.write || ((lineLevel, line) => {
+        (LEVELS[lineLevel] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+    });
+
+    const log = (lineLevel, msg, extra = {}) => {
+        if (LEVELS[lineLevel] < level) return;
+
+        const entry = { time: new Date().toISOString(), level: lineLevel, msg, ...fields, ...context.getStore() };
+        for (const [key, value] of Object.entries(extra)) entry[key] = serialize(value);
+
+        if (pretty) {
+            const { time, level: _, msg: text, ...rest } = entry;
+            const details = Object.keys(rest).length ? ' ' + JSON.stringify(rest) : '';
+            write(lineLevel, `${time.slice(11, 23)} ${lineLevel.toUpperCase().padEnd(5)} ${text}${details}`);
+        } else {
+            write(lineLevel, JSON.stringify(entry));
+        }
+    };
+
+    return {
+        debug: (msg, extra) => log('debug', msg, extra),
+        info: (msg, extra) => log('info', msg, extra),
+        warn: (msg, extra) => log('warn', msg, extra),
+        error: (msg, extra) => log('error', msg, extra),
+        pretty,
+
+        // Function: A logger that adds fields to every line (e.g. { module: 'collab' })
+        child(childFields) {
+            return createLogger(options, { ...fields, ...childFields });
+        }
+    };
+}
+
+// Function: Add fields to every further line of the current request (e.g. the user once known)
+function addLogContext(fields) {
+    const store = context.getStore();
+    if (store) Object.assign(store, fields);
+}
+
+// Function: Middleware that gives every request an id and logs it once it is answered
+// The id comes from X-Request-Id when that looks sane, is echoed in the response header and is
+// req.id. onFinish(req, res, seconds) runs for every answered request (metrics).
+// Body parsers lose the async context, so the id is re-entered by the middleware returned
+// from requestContext(), which goes after them.
+function requestLogger(logger, { onFinish } = {}) {
+    return (req, res, next) => {
+        const header = req.get('X-Request-Id');
+        req.id = header && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID();
+        res.set('X-Request-Id', req.id);
+
+        const started = process.hrtime.bigint();
+        res.on('finish', () => {
+            const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+            if (onFinish) onFinish(req, res, seconds);
+
+            const fields = {
+                requestId: req.id,
+                method: req.method,
+                path: req.originalUrl.split('?')[0],
+                status: res.statusCode,
+                durationMs: Math.round(seconds * 1000),
+                ...(req.user ? { userId: req.user.id } : {})
+            };
+            if (res.statusCode >= 500) logger.error('Request failed', fields);
+            else logger.info('Request completed', fields);
+        });
+
+        context.run({ requestId: req.id }, next);
+    };
+}
+
+// Function: Middleware that re-enters the request's log context (after body parsers)
+function requestContext() {
+    return (req, res, next) => context.run({ requestId: req.id }, next);
+}
+
+// Function: Run fn with fields on every line it logs (work outside requests, e.g. a WebSocket session)
+function withLogContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+// The logger lib/ modules and server.js share
+const logger = createLogger();
+
+module.exports = {
+    logger,
+    createLogger,
+    addLogContext,
+    withLogContext,
+    requestLogger,
+    requestContext
+};
@@ -0,0 +1,153 @@
+// Prometheus metrics
+// A small registry of counters and histograms, rendered in the text exposition format
+// (https://prometheus.io/docs/instrumenting/exposition_formats/) by GET /metrics.
+// Modules register what they measure on the shared registry:
+//   const requests = metrics.counter('happy_things_total', 'Things done', ['outcome']);
+//   requests.inc({ outcome: 'ok' });
+//   const seconds = metrics.histogram('happy_thing_seconds', 'Time per thing', ['outcome']);
+//   const done = seconds.startTimer(); ...; done({ outcome: 'ok' });
+// Label values should come from a small fixed set (never ids or user input), every
+// combination is a time series of its own.
+
+// Seconds; from a quick API call up to a slow model answer
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+// Function: Escape a label value for the text format
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// Function: {a="1",b="2"} for a set of labels (empty string for none)
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Function: Series key and label set for the labels a metric was declared with
+// Missing labels are empty strings, unknown ones are an error (a typo would silently split series).
+function labelSet(metricName, labelNames, labels = {}) {
+    for (const name of Object.keys(labels)) {
+        if (!labelNames.includes(name)) throw new Error(`Metric ${metricName} has no label "${name}"`);
+    }
+
+    const set = {};
+    for (const name of labelNames) set[name] = labels[name] === undefined ? '' : String(labels[name]);
+    return { key: JSON.stringify(labelNames.map(name => set[name])), set };
+}
+
+// Function: Create a registry
+function createRegistry() {
+    const metrics = new Map();
+
+    const register = (name, metric) => {
+        if (metrics.has(name)) throw new Error(`Metric ${name} is already registered`);
+        metrics.set(name, metric);
+        return metric;
+    };
+
+    return {
+        // Function: A counter (only goes up)
+        counter(name, help, labelNames = []) {
+            const series = new Map();
+
+            return register(name, {
+                inc(labels, value = 1) {
+                    const { key, set } = labelSet(name, labelNames, labels);
+                    const current = series.get(key) || { labels: set, value: 0 };
+                    current.value += value;
+                    series.set(key, current);
+                },
+
+                get(labels) {
+                    const current = series.get(labelSet(name, labelNames, labels).key);
+                    return current ? current.value : 0;
+                },
+
+                render() {
+                    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+                    for (const { labels, value } of series.values()) lines.push(`${name}${formatLabels(labels)} ${value}`);
+                    return lines;
+                }
+            });
+        },
+
+        // Function: A gauge whose value is read when metrics are rendered
+        // read() returns a number, or [{ labels, value }] for several series.
+        gauge(name, help, read) {
+            return register(name, {
+                render() {
+                    const value = read();
+                    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+                    for (const entry of Array.isArray(value) ? value : [{ labels: {}, value }]) {
+                        lines.push(`${name}${formatLabels(entry.labels)} ${entry.value}`);
+                    }
+                    return lines;
+                }
+            });
+        },
+
+        // Function: A histogram of values (seconds, unless the name says otherwise)
+        histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+            const series = new Map();
+
+            const histogram = {
+                observe(labels, value) {
+                    const { key, set } = labelSet(name, labelNames, labels);
+                    const current = series.get(key) || { labels: set, counts: buckets.map(() => 0), sum: 0, count: 0 };
+
+                    buckets.forEach((bound, i) => {
+                        if (value <= bound) current.counts[i]++;
+                    });
+                    current.sum += value;
+                    current.count++;
+                    series.set(key, current);
+                },
+
+                // Function: Start timing; call the result (with more labels if needed) when done
+                startTimer(labels = {}) {
+                    const started = process.hrtime.bigint();
+                    return (moreLabels = {}) => {
+                        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+                        histogram.observe({ ...labels, ...moreLabels }, seconds);
+                        return seconds;
+                    };
+                },
+
+                count(labels) {
+                    const current = series.get(labelSet(name, labelNames, labels).key);
+                    return current ? current.count : 0;
+                },
+
+                render() {
+                    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+
+                    for (const { labels, counts, sum, count } of series.values()) {
+                        buckets.forEach((bound, i) => {
+                            lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+                        });
+                        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+                        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+                        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+                    }
+
+                    return lines;
+                }
+            };
+
+            return register(name, histogram);
+        },
+
+        // Function: Every metric in the text exposition format
+        render() {
+            return [...metrics.values()].map(metric => metric.render().join('\n')).join('\n') + '\n';
+        }
+    };
+}
+
+// The registry GET /metrics renders
+const metrics = createRegistry();
+
+module.exports = {
+    metrics,
+    createRegistry
+};
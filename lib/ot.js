@@ -0,0 +1,206 @@
+// Operational transformation for plain text
+// An operation walks the whole document once and is a list of components:
+//   n > 0     keep the next n characters
+//   'text'    insert text
+//   n < 0     delete the next -n characters
+// e.g. [5, ' world', -3, 2] on "hello!!!ab" gives "hello worldab".
+// Positions are UTF-16 code units, the same as JavaScript string indexes in the browser.
+// index.html carries the same functions for the editor; keep the two in step.
+
+// Function: Error for an operation that doesn't fit its document
+function operationError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+const isRetain = component => typeof component === 'number' && component > 0;
+const isDelete = component => typeof component === 'number' && component < 0;
+const isInsert = component => typeof component === 'string';
+
+// Function: Append a component, merging it with the last one of the same kind
+// An insert is kept before a delete it follows, so equal edits always look the same.
+function push(op, component) {
+    if (component === 0 || component === '') return op;
+
+    const last = op[op.length - 1];
+    if (isRetain(component) && isRetain(last)) {
+        op[op.length - 1] += component;
+    } else if (isDelete(component) && isDelete(last)) {
+        op[op.length - 1] += component;
+    } else if (isInsert(component) && isInsert(last)) {
+        op[op.length - 1] += component;
+    } else if (isInsert(component) && isDelete(last)) {
+        if (isInsert(op[op.length - 2])) op[op.length - 2] += component;
+        else op.splice(op.length - 1, 0, component);
+    } else {
+        op.push(component);
+    }
+    return op;
+}
+
+// Function: Is this a well-formed operation?
+function isOperation(op) {
+    return Array.isArray(op) && op.every(component =>
+        isInsert(component) || (Number.isInteger(component) && component !== 0));
+}
+
+// Function: Length of the document an operation applies to
+function baseLength(op) {
+    return op.reduce((length, component) => length + (isInsert(component) ? 0 : Math.abs(component)), 0);
+}
+
+// Function: Apply an operation to a text
+function apply(text, op) {
+    if (baseLength(op) !== text.length) {
+        throw operationError(`The operation expects ${baseLength(op)} characters, the text has ${text.length}`);
+    }
+
+    let result = '';
+    let index = 0;
+
+    for (const component of op) {
+        if (isInsert(component)) {
+            result += component;
+        } else if (isRetain(component)) {
+            result += text.slice(index, index + component);
+            index += component;
+        } else {
+            index -= component;
+        }
+    }
+
+    return result;
+}
+
+// Function: One operation with the effect of a followed by b
+function compose(a, b) {
+    const result = [];
+    let i = 0;
+    let j = 0;
+    let ca = a[i++];
+    let cb = b[j++];
+
+    while (ca !== undefined || cb !== undefined) {
+        if (isDelete(ca)) {
+            push(result, ca);
+            ca = a[i++];
+            continue;
+        }
+        if (isInsert(cb)) {
+            push(result, cb);
+            cb = b[j++];
+            continue;
+        }
+        if (ca === undefined || cb === undefined) {
+            throw operationError('The second operation must apply to the result of the first');
+        }
+
+        const length = Math.min(isInsert(ca) ? ca.length : ca, Math.abs(cb));
+
+        if (isRetain(cb)) push(result, isInsert(ca) ? ca.slice(0, length) : length);
+        else if (isRetain(ca)) push(result, -length);
+        // an insert of a that b deletes again leaves nothing
+
+        ca = isInsert(ca) ? ca.slice(length) || a[i++] : ca - length || a[i++];
+        cb = isRetain(cb) ? cb - length || b[j++] : cb + length || b[j++];
+    }
+
+    return result;
+}
+
+// Function: Transform two concurrent operations on the same text
+// Returns [a', b'] so that b' applies after a and a' after b, with the same result.
+// When both insert at the same place, a's text comes first.
+function transform(a, b) {
+    const aPrime = [];
+    const bPrime = [];
+    let i = 0;
+    let j = 0;
+    let ca = a[i++];
+    let cb = b[j++];
+
+    while (ca !== undefined || cb !== undefined) {
+        if (isInsert(ca)) {
+            push(aPrime, ca);
+            push(bPrime, ca.length);
+            ca = a[i++];
+            continue;
+        }
+        if (isInsert(cb)) {
+            push(aPrime, cb.length);
+            push(bPrime, cb);
+            cb = b[j++];
+            continue;
+        }
+        if (ca === undefined || cb === undefined) {
+            throw operationError('Both operations must apply to the same text');
+        }
+
+        const length = Math.min(Math.abs(ca), Math.abs(cb));
+
+        if (isRetain(ca) && isRetain(cb)) {
+            push(aPrime, length);
+            push(bPrime, length);
+        } else if (isDelete(ca) && isRetain(cb)) {
+            push(aPrime, -length);
+        } else if (isRetain(ca) && isDelete(cb)) {
+            push(bPrime, -length);
+        }
+        // both deleted the same characters: nothing left to do
+
+        ca = isRetain(ca) ? ca - length || a[i++] : ca + length || a[i++];
+        cb = isRetain(cb) ? cb - length || b[j++] : cb + length || b[j++];
+    }
+
+    return [aPrime, bPrime];
+}
+
+// Function: The operation that turns one text into another
+// One replaced region between the common start and end; exact for typing, coarse for rewrites.
+function diff(from, to) {
+    let start = 0;
+    while (start < from.length && start < to.length && from[start] === to[start]) start++;
+
+    let end = 0;
+    while (end < from.length - start && end < to.length - start
+        && from[from.length - 1 - end] === to[to.length - 1 - end]) end++;
+
+    const op = [];
+    push(op, start);
+    push(op, to.slice(start, to.length - end));
+    push(op, -(from.length - start - end));
+    push(op, end);
+    return op;
+}
+
+// Function: Where a position ends up after an operation (for cursors)
+function transformIndex(index, op) {
+    let position = 0;
+    let result = index;
+
+    for (const component of op) {
+        if (position > index) break;
+
+        if (isRetain(component)) {
+            position += component;
+        } else if (isInsert(component)) {
+            result += component.length;
+        } else {
+            result -= Math.min(-component, index - position);
+            position -= component;
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    isOperation,
+    baseLength,
+    apply,
+    compose,
+    transform,
+    diff,
+    transformIndex
+};
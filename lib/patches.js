@@ -0,0 +1,257 @@
+const { MAIN_FILES, normalizePath, isTextPath, isHTMLPath } = require('./files');
+
+// Search/replace patches for AI "edit mode"
+// The model returns edits like { file: 'style.css', search: '...', replace: '...' } instead of whole files.
+// Each edit must match exactly one place in the current file; anything else is reported, not guessed.
+
+// Older prompts (and clients) name the main files by their short keys
+const FILE_ALIASES = { html: MAIN_FILES.html, css: MAIN_FILES.css, js: MAIN_FILES.js };
+
+// Largest LCS table a diff builds (changed lines before × after); past it the changed region
+// is shown as removed and added whole, so diffing two big files can't stall the server
+const MAX_DIFF_CELLS = 1000000;
+
+// Function: Find where `search` occurs in `text`
+// Exact match first, then a match that ignores trailing whitespace and indentation per line.
+// Returns { index, matched } or { error }.
+function locate(text, search) {
+    const first = text.indexOf(search);
+    if (first !== -1) {
+        if (text.indexOf(search, first + 1) !== -1) {
+            return { error: 'search text matches more than once' };
+        }
+        return { index: first, matched: search };
+    }
+
+    const searchLines = search.split('\n').map(line => line.trim());
+    while (searchLines.length && !searchLines[searchLines.length - 1]) searchLines.pop();
+    if (searchLines.length === 0) return { error: 'search text is empty' };
+
+    const lines = text.split('\n');
+    const offsets = [];
+    let offset = 0;
+    for (const line of lines) {
+        offsets.push(offset);
+        offset += line.length + 1;
+    }
+
+    const hits = [];
+    for (let i = 0; i + searchLines.length <= lines.length; i++) {
+        let ok = true;
+        for (let j = 0; j < searchLines.length; j++) {
+            if (lines[i + j].trim() !== searchLines[j]) {
+                ok = false;
+                break;
+            }
+        }
+        if (ok) hits.push(i);
+    }
+
+    if (hits.length === 0) return { error: 'search text not found' };
+    if (hits.length > 1) return { error: 'search text matches more than once' };
+
+    const start = offsets[hits[0]];
+    const lastLine = hits[0] + searchLines.length - 1;
+    const end = offsets[lastLine] + lines[lastLine].length;
+
+    return { index: start, matched: text.slice(start, end) };
+}
+
+// Function: Resolve the file an edit names ('css' and 'style.css' are the same file)
+function resolveEditPath(file) {
+    const name = String(file || '').trim();
+    return FILE_ALIASES[name.toLowerCase()] || normalizePath(name);
+}
+
+// Function: Apply edits to a file list [{ path, content }]
+// Edits are applied in order, so a later edit sees the result of earlier ones.
+// An empty `search` appends `replace` to the file, creating it if it does not exist yet.
+// scope = { file, html } limits markup changes to one element (the user selected it in the
+// preview): edits to that page must fall inside the element, other pages can't be touched.
+// Stylesheets and scripts stay editable.
+// Returns { files, changed: [path], applied, failed }.
+function applyEdits(files, edits, scope = null) {
+    const contents = new Map(files.map(file => [file.path, file]));
+    const changed = new Set();
+    const applied = [];
+    const failed = [];
+
+    // Where the selected element is in its page, kept up to date as edits land in it
+    const region = scope && contents.has(scope.file)
+        ? { start: contents.get(scope.file).content.indexOf(scope.html), length: scope.html.length }
+        : null;
+
+    (edits || []).forEach((edit, i) => {
+        const id = `edit_${i + 1}`;
+        const file = resolveEditPath(edit.file);
+        const search = typeof edit.search === 'string' ? edit.search : '';
+        const replace = typeof edit.replace === 'string' ? edit.replace : '';
+
+        if (!file || !isTextPath(file)) {
+            failed.push({ id, file: edit.file, error: `unknown file "${edit.file}"` });
+            return;
+        }
+
+        const existing = contents.get(file);
+        if (existing && existing.encoding === 'base64') {
+            failed.push({ id, file, error: 'binary files cannot be edited' });
+            return;
+        }
+        if (!existing && search) {
+            failed.push({ id, file, search, error: 'file does not exist' });
+            return;
+        }
+
+        if (scope && isHTMLPath(file) && (file !== scope.file || !search)) {
+            failed.push({ id, file, search, error: 'outside the selected element' });
+            return;
+        }
+
+        const before = existing ? existing.content : '';
+        let after;
+
+        if (!search) {
+            const joiner = before && !before.endsWith('\n') ? '\n' : '';
+            after = before + joiner + replace;
+            applied.push({ id, file, search: '', replace, diff: createUnifiedDiff(file, before, after) });
+        } else {
+            const found = locate(before, search);
+            if (found.error) {
+                failed.push({ id, file, search, error: found.error });
+                return;
+            }
+
+            if (scope && file === scope.file) {
+                if (!region || region.start === -1 || found.index < region.start ||
+                    found.index + found.matched.length > region.start + region.length) {
+                    failed.push({ id, file, search, error: 'outside the selected element' });
+                    return;
+                }
+                region.length += replace.length - found.matched.length;
+            }
+
+            after = before.slice(0, found.index) + replace + before.slice(found.index + found.matched.length);
+
+            // Record the text that was really replaced so the client can re-apply it verbatim
+            applied.push({ id, file, search: found.matched, replace, diff: createUnifiedDiff(file, before, after) });
+        }
+
+        contents.set(file, { path: file, content: after });
+        changed.add(file);
+    });
+
+    return {
+        files: [...contents.values()].sort((a, b) => a.path.localeCompare(b.path)),
+        changed: [...changed],
+        applied,
+        failed
+    };
+}
+
+// Function: Line diff between two texts as a unified diff
+function createUnifiedDiff(file, oldText, newText, context = 3) {
+    const a = oldText ? oldText.split('\n') : [];
+    const b = newText ? newText.split('\n') : [];
+
+    // Trim the common prefix and suffix so the LCS only runs over the changed region
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix &&
+        a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+    const midA = a.slice(prefix, a.length - suffix);
+    const midB = b.slice(prefix, b.length - suffix);
+
+    const ops = a.slice(0, prefix).map(line => ({ type: ' ', line }));
+
+    if (midA.length * midB.length > MAX_DIFF_CELLS) {
+        midA.forEach(line => ops.push({ type: '-', line }));
+        midB.forEach(line => ops.push({ type: '+', line }));
+    } else {
+        // LCS table over the changed region
+        const table = Array.from({ length: midA.length + 1 }, () => new Array(midB.length + 1).fill(0));
+        for (let i = midA.length - 1; i >= 0; i--) {
+            for (let j = midB.length - 1; j >= 0; j--) {
+                table[i][j] = midA[i] === midB[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < midA.length || j < midB.length) {
+            if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+                ops.push({ type: ' ', line: midA[i++] });
+                j++;
+            } else if (i < midA.length && (j >= midB.length || table[i + 1][j] >= table[i][j + 1])) {
+                ops.push({ type: '-', line: midA[i++] });
+            } else {
+                ops.push({ type: '+', line: midB[j++] });
+            }
+        }
+    }
+    a.slice(a.length - suffix).forEach(line => ops.push({ type: ' ', line }));
+
+    // Group changes into hunks with surrounding context
+    const hunks = [];
+    let oldLine = 1;
+    let newLine = 1;
+    let current = null;
+    let trailing = 0;
+
+    ops.forEach((op, k) => {
+        if (op.type !== ' ') {
+            if (!current) {
+                const lead = [];
+                for (let c = Math.max(0, k - context); c < k; c++) lead.push(ops[c]);
+                current = {
+                    oldStart: oldLine - lead.length,
+                    newStart: newLine - lead.length,
+                    lines: lead.map(o => ' ' + o.line)
+                };
+            }
+            current.lines.push(op.type + op.line);
+            trailing = 0;
+        } else if (current) {
+            if (trailing < context) {
+                current.lines.push(' ' + op.line);
+                trailing++;
+            } else {
+                // Only close the hunk if no change is coming within the context window
+                const next = ops.slice(k, k + context + 1).some(o => o.type !== ' ');
+                if (next) {
+                    current.lines.push(' ' + op.line);
+                } else {
+                    hunks.push(current);
+                    current = null;
+                    trailing = 0;
+                }
+            }
+        }
+
+        if (op.type !== '+') oldLine++;
+        if (op.type !== '-') newLine++;
+    });
+    if (current) hunks.push(current);
+
+    if (hunks.length === 0) return '';
+
+    const name = FILE_ALIASES[file] || file;
+    let out = `--- a/${name}\n+++ b/${name}\n`;
+
+    hunks.forEach(hunk => {
+        const oldCount = hunk.lines.filter(l => l[0] !== '+').length;
+        const newCount = hunk.lines.filter(l => l[0] !== '-').length;
+        out += `@@ -${oldCount ? hunk.oldStart : hunk.oldStart - 1},${oldCount} +${newCount ? hunk.newStart : hunk.newStart - 1},${newCount} @@\n`;
+        out += hunk.lines.join('\n') + '\n';
+    });
+
+    return out;
+}
+
+module.exports = {
+    resolveEditPath,
+    applyEdits,
+    createUnifiedDiff
+};
@@ -0,0 +1,315 @@
+// System prompts, brand kits and prompt presets
+// System prompts: one per chat mode ('full' writes whole files, 'edit' writes search/replace
+//   patches). Admins can replace them; every change is a new numbered version and the newest
+//   version of a mode is the active one. Without any version the defaults below are used.
+// Brand kits: { id, name, colors: { primary, secondary, accent, background, text }, fonts:
+//   { heading, body }, logo, tone } steer the look and voice of what the AI generates.
+// Presets: { id, name, instructions } are reusable instructions added to a generation.
+// Kits and presets belong to a user, or to the whole workspace when an admin shares them.
+
+// Owner of the items every user sees
+const WORKSPACE = 'workspace';
+
+const DEFAULT_SYSTEM_PROMPTS = {
+    full: `You are Happy AI, a website builder assistant. Generate HTML, CSS, and JavaScript code for websites.
+            Always return code in this EXACT JSON format:
+            {
+                "files": [
+                    { "path": "index.html", "content": "complete file content here" }
+                ],
+                "delete": [],
+                "message": "brief explanation"
+            }
+
+            Requirements:
+            1. Create modern, responsive websites
+            2. Use dark theme with glowing effects, unless a brand kit says otherwise
+            3. Make it mobile-friendly
+            4. Include interactive elements
+            5. Add comments in code
+
+            Files:
+            - index.html is the home page; other pages are their own .html files (about.html, menu.html) linked with relative links
+            - Shared styles go in style.css and shared scripts in script.js, linked from every page
+            - A header or footer used on several pages can live in partials/ (partials/header.html) and is pulled into a page with <!-- include partials/header.html -->
+            - Images and fonts listed under Assets can be referenced by their path; you cannot create binary files, use inline SVG or https URLs instead
+            - Only return files you create or change, with their complete content; list paths to remove in "delete"
+
+            When the user asks for a change, apply it to the current code and keep everything else as it is.`,
+
+    edit: `You are Happy AI, a website builder assistant. The user wants a change to an existing website.
+            Do NOT return whole files. Return only the edits needed, in this EXACT JSON format:
+            {
+                "edits": [
+                    { "file": "path of the file, e.g. index.html or about.html", "search": "exact text copied from the current file", "replace": "new text" }
+                ],
+                "message": "brief explanation"
+            }
+
+            Rules:
+            1. "search" must be copied exactly from the current code and must match only one place
+            2. Keep each "search" short, a few lines around the change is enough
+            3. Use an empty "search" to append to the end of a file, or to create a new text file
+            4. Leave everything you were not asked to change untouched`
+};
+
+// What each mode's prompt must still ask for, or the answers can't be parsed
+const REQUIRED_FORMAT = {
+    full: '"files"',
+    edit: '"edits"'
+};
+
+const MAX_PROMPT_LENGTH = 20000;
+const COLOR_ROLES = ['primary', 'secondary', 'accent', 'background', 'text'];
+
+// Item kinds as they appear in URLs, and where they are kept in a library
+const KINDS = {
+    'brand-kits': { key: 'brandKits', label: 'Brand kit', prefix: 'kit' },
+    presets: { key: 'presets', label: 'Preset', prefix: 'preset' }
+};
+
+// Function: Error with an HTTP status for the API
+function promptError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Function: A trimmed string no longer than max ('' for anything else)
+function text(value, max) {
+    return typeof value === 'string' ? value.trim().slice(0, max) : '';
+}
+
+// Function: Check and tidy a brand kit from a request
+function readBrandKit(input) {
+    const name = text(input.name, 80);
+    if (!name) throw promptError('A brand kit needs a name');
+
+    const colors = {};
+    for (const role of COLOR_ROLES) {
+        const value = text(input.colors && input.colors[role], 20);
+        if (!value) continue;
+        if (!/^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i.test(value)) throw promptError(`The ${role} colour must be a hex colour like #00ffaa`);
+        colors[role] = value.toLowerCase();
+    }
+
+    // Font names end up in CSS, so only the characters font names use
+    const fonts = {};
+    for (const role of ['heading', 'body']) {
+        const value = text(input.fonts && input.fonts[role], 80);
+        if (!value) continue;
+        if (!/^[\w\s,'"-]+$/.test(value)) throw promptError(`The ${role} font name has characters fonts don't use`);
+        fonts[role] = value;
+    }
+
+    const logo = text(input.logo, 2000);
+    if (logo && !/^https:\/\/\S+$/i.test(logo) && !/^[A-Za-z0-9._-]+(\/[A-Za-z0-9._-]+)*$/.test(logo)) {
+        throw promptError('The logo must be an https URL or the path of an uploaded image (e.g. images/logo.png)');
+    }
+
+    return { name, colors, fonts, logo, tone: text(input.tone, 500) };
+}
+
+// Function: Check and tidy a prompt preset from a request
+function readPreset(input) {
+    const name = text(input.name, 80);
+    const instructions = text(input.instructions, 4000);
+
+    if (!name) throw promptError('A preset needs a name');
+    if (!instructions) throw promptError('A preset needs instructions');
+
+    return { name, instructions };
+}
+
+// Function: System message for a brand kit
+function brandKitInstruction(kit) {
+    const lines = [`Brand kit "${kit.name}": follow it in everything you create or change, it replaces the default look.`];
+    const colors = Object.entries(kit.colors || {});
+
+    if (colors.length > 0) {
+        lines.push(`- Colours: ${colors.map(([role, value]) => `${role} ${value}`).join(', ')}. Define them once as CSS custom properties (--color-${colors[0][0]}, ...) and use only these.`);
+    }
+    if (kit.fonts && (kit.fonts.heading || kit.fonts.body)) {
+        lines.push(`- Fonts: ${[kit.fonts.heading && `headings in ${kit.fonts.heading}`, kit.fonts.body && `body text in ${kit.fonts.body}`].filter(Boolean).join(', ')}. Load them from Google Fonts unless they are system fonts.`);
+    }
+    if (kit.logo) lines.push(`- Logo: ${kit.logo} (use it in the header, with the brand name as its alt text)`);
+    if (kit.tone) lines.push(`- Tone of voice for all copy: ${kit.tone}`);
+
+    return lines.join('\n');
+}
+
+// Function: System message for a prompt preset
+function presetInstruction(preset) {
+    return `Preset "${preset.name}", apply these instructions as well as the user's request:\n${preset.instructions}`;
+}
+
+// Function: System prompts, kits and presets on top of a storage backend
+function createPromptLibrary(storage) {
+    // Versions are read on every generation, so they are cached once loaded
+    let versions = null;
+    const loadVersions = async () => {
+        if (!versions) versions = await storage.listSystemPrompts();
+        return versions;
+    };
+
+    const activeVersion = (list, mode) => list.filter(version => version.mode === mode).pop() || null;
+
+    // Library changes are read-modify-write, so they run one at a time
+    let updates = Promise.resolve();
+    const update = (ownerId, change) => {
+        const next = updates.catch(() => {}).then(async () => {
+            const library = await storage.getLibrary(ownerId);
+            const result = change(library);
+            await storage.saveLibrary(ownerId, library);
+            return result;
+        });
+        updates = next;
+        return next;
+    };
+
+    const kindFor = kind => {
+        if (!KINDS[kind]) throw promptError(`Unknown library item "${kind}", use ${Object.keys(KINDS).join(' or ')}`, 404);
+        return KINDS[kind];
+    };
+
+    // The user's own item, or a shared one (which only admins may change)
+    const findItem = async (kind, user, id) => {
+        const { key, label } = kindFor(kind);
+
+        for (const ownerId of [user.id, WORKSPACE]) {
+            const item = (await storage.getLibrary(ownerId))[key].find(entry => entry.id === id);
+            if (!item) continue;
+            if (ownerId === WORKSPACE && !user.admin) throw promptError(`Only admins can change shared ${label.toLowerCase()}s`, 403);
+            return { ownerId, item };
+        }
+
+        throw promptError(`${label} not found`, 404);
+    };
+
+    return {
+        // The active prompt of each mode
+        async systemPrompts() {
+            const list = await loadVersions();
+            return Object.fromEntries(Object.keys(DEFAULT_SYSTEM_PROMPTS).map(mode => {
+                const active = activeVersion(list, mode);
+                return [mode, active ? active.content : DEFAULT_SYSTEM_PROMPTS[mode]];
+            }));
+        },
+
+        // Defaults, the active version of each mode and every version (newest first)
+        async promptHistory() {
+            const list = await loadVersions();
+            return {
+                defaults: DEFAULT_SYSTEM_PROMPTS,
+                active: Object.fromEntries(Object.keys(DEFAULT_SYSTEM_PROMPTS).map(mode => [mode, activeVersion(list, mode)])),
+                versions: list.slice().reverse()
+            };
+        },
+
+        // Make content the active prompt of a mode, as a new version
+        async addSystemPrompt(mode, content, { note = '', userId = null } = {}) {
+            if (!DEFAULT_SYSTEM_PROMPTS[mode]) throw promptError(`Unknown mode "${mode}", use ${Object.keys(DEFAULT_SYSTEM_PROMPTS).join(' or ')}`);
+
+            const prompt = typeof content === 'string' ? content.trim() : '';
+            if (!prompt || prompt.length > MAX_PROMPT_LENGTH) throw promptError(`The prompt must be 1 to ${MAX_PROMPT_LENGTH} characters`);
+            if (!prompt.includes(REQUIRED_FORMAT[mode])) {
+                throw promptError(`The ${mode} prompt must still ask for the JSON format with ${REQUIRED_FORMAT[mode]}, or answers can't be read`);
+            }
+
+            const version = await storage.addSystemPrompt({
+                mode,
+                content: prompt,
+                note: text(note, 200),
+                createdBy: userId,
+                createdAt: new Date().toISOString()
+            });
+            (await loadVersions()).push(version);
+            return version;
+        },
+
+        // Make an older version active again (as a new version, so history only grows)
+        async restoreSystemPrompt(id, { userId = null } = {}) {
+            const version = (await loadVersions()).find(entry => entry.id === id);
+            if (!version) throw promptError('Prompt version not found', 404);
+
+            return this.addSystemPrompt(version.mode, version.content, { note: `Restored version ${version.number}`, userId });
+        },
+
+        // The user's kits and presets plus the shared ones
+        async list(userId) {
+            const [own, shared] = await Promise.all([storage.getLibrary(userId), storage.getLibrary(WORKSPACE)]);
+            const mark = (items, isShared) => items.map(item => ({ ...item, shared: isShared }));
+
+            return {
+                brandKits: [...mark(own.brandKits, false), ...mark(shared.brandKits, true)],
+                presets: [...mark(own.presets, false), ...mark(shared.presets, true)]
+            };
+        },
+
+        // Create (no id) or update an item; shared items are created by admins only
+        async save(kind, user, input = {}, id = null) {
+            const { key, prefix } = kindFor(kind);
+            const fields = key === 'brandKits' ? readBrandKit(input) : readPreset(input);
+            const now = new Date().toISOString();
+
+            if (id) {
+                const { ownerId } = await findItem(kind, user, id);
+                return update(ownerId, library => {
+                    const item = library[key].find(entry => entry.id === id);
+                    Object.assign(item, fields, { updatedAt: now });
+                    return { ...item, shared: ownerId === WORKSPACE };
+                });
+            }
+
+            if (input.shared && !user.admin) throw promptError('Only admins can share with the whole workspace', 403);
+
+            const ownerId = input.shared ? WORKSPACE : user.id;
+            return update(ownerId, library => {
+                const item = {
+                    id: `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+                    ...fields,
+                    createdBy: user.id,
+                    createdAt: now,
+                    updatedAt: now
+                };
+                library[key].push(item);
+                return { ...item, shared: !!input.shared };
+            });
+        },
+
+        async remove(kind, user, id) {
+            const { key } = kindFor(kind);
+            const { ownerId } = await findItem(kind, user, id);
+
+            return update(ownerId, library => {
+                library[key] = library[key].filter(entry => entry.id !== id);
+                return true;
+            });
+        },
+
+        // What a generation is told besides the user's message: the active system prompts,
+        // and the kit and preset picked in the chat panel (null when none)
+        async guidanceFor(userId, { brandKitId, presetId } = {}) {
+            const library = (brandKitId || presetId) ? await this.list(userId) : { brandKits: [], presets: [] };
+            const pick = (items, id, label) => {
+                if (!id) return null;
+                const item = items.find(entry => entry.id === id);
+                if (!item) throw promptError(`${label} not found, pick another one`);
+                return item;
+            };
+
+            return {
+                systemPrompts: await this.systemPrompts(),
+                brandKit: pick(library.brandKits, brandKitId, 'Brand kit'),
+                preset: pick(library.presets, presetId, 'Preset')
+            };
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_SYSTEM_PROMPTS,
+    brandKitInstruction,
+    presetInstruction,
+    createPromptLibrary
+};
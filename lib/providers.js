@@ -0,0 +1,429 @@
+const axios = require('axios');
+const { http } = require('./http');
+const { logger } = require('./logger');
+
+// LLM providers
+// Every provider exposes the same shape:
+//   complete(messages, options) -> { content, usage }
+//   stream(messages, options)   -> { content, usage }, calling options.onDelta(text, contentSoFar)
+// DeepSeek, OpenAI and local servers all speak the OpenAI chat-completions dialect,
+// so they share one implementation and only differ in config.
+// Providers with supportsVision accept user messages whose content is
+//   [{ type: 'text', text }, { type: 'image_url', image_url: { url: 'data:image/png;base64,...' } }]
+// Requests with images go to the chosen provider if it can see, otherwise to VISION_PROVIDER.
+// A request may pick a model, but only the provider's configured one or one listed in
+// <PROVIDER>_MODELS (comma-separated, e.g. OPENAI_MODELS=gpt-4o-mini,gpt-4o): the key is the server's.
+
+const JSON_ONLY_INSTRUCTION = 'Respond with a single valid JSON object and nothing else. Do not wrap it in markdown.';
+
+// How long a streamed answer may go quiet before it is given up on (an upstream can stall with
+// the connection still open, and the request timeout only covers getting the stream started)
+const STREAM_IDLE_MS = parseInt(process.env.AI_STREAM_IDLE_MS, 10) || 60000;
+
+// Function: Models named in a comma-separated env value
+function modelList(value) {
+    return String(value || '').split(',').map(model => model.trim()).filter(Boolean);
+}
+
+const PROVIDER_CONFIGS = {
+    deepseek: {
+        label: 'DeepSeek',
+        baseUrl: process.env.DEEPSEEK_BASE_URL || 'https://api.deepseek.com/v1',
+        apiKey: process.env.DEEPSEEK_API_KEY || '',
+        models: modelList(process.env.DEEPSEEK_MODELS),
+        model: process.env.DEEPSEEK_MODEL || 'deepseek-coder',
+        requiresKey: true,
+        timeout: 30000,
+        retries: 1,
+        jsonMode: 'response_format',
+        vision: false
+    },
+    openai: {
+        label: 'OpenAI-compatible',
+        baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: process.env.OPENAI_API_KEY || '',
+        models: modelList(process.env.OPENAI_MODELS),
+        model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+        requiresKey: true,
+        timeout: 60000,
+        retries: 2,
+        jsonMode: 'response_format',
+        // gpt-4o-mini reads images; set OPENAI_VISION=false for a text-only model
+        vision: process.env.OPENAI_VISION !== 'false'
+    },
+    ollama: {
+        label: 'Local (Ollama / llama.cpp)',
+        baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434/v1',
+        apiKey: process.env.OLLAMA_API_KEY || '',
+        models: modelList(process.env.OLLAMA_MODELS),
+        model: process.env.OLLAMA_MODEL || 'qwen2.5-coder',
+        requiresKey: false,
+        // Local models are slow on CPU and there is nobody to retry against
+        timeout: 180000,
+        retries: 0,
+        jsonMode: 'prompt',
+        // Only vision models (llava, qwen2.5vl, llama3.2-vision) read images
+        vision: process.env.OLLAMA_VISION === 'true'
+    }
+};
+
+// Images a chat request may carry
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+const MAX_IMAGES = 4;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+const log = logger.child({ module: 'providers' });
+
+// Function: Is this error worth another attempt?
+function isRetryable(error) {
+    if (axios.isCancel(error) || error.name === 'CanceledError') return false;
+    if (!error.response) return true; // network error or timeout
+    return error.response.status === 429 || error.response.status >= 500;
+}
+
+// Function: Run a request with the provider's retry policy
+async function withRetries(config, fn) {
+    let attempt = 0;
+
+    while (true) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (attempt >= config.retries || !isRetryable(error)) throw error;
+
+            attempt++;
+            const delay = 500 * Math.pow(2, attempt - 1);
+            log.warn('AI provider request failed, retrying', { provider: config.label, error, attempt, retries: config.retries, delayMs: delay });
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+// Function: May requests ask this provider for the model?
+function isAllowedModel(config, model) {
+    return !!model && (model === config.model || config.models.includes(model));
+}
+
+// Function: Create a provider for an OpenAI-compatible chat-completions endpoint
+function createOpenAICompatibleProvider(name, config) {
+    const buildRequest = (messages, options, stream) => {
+        const body = {
+            model: isAllowedModel(config, options.model) ? options.model : config.model,
+            messages,
+            temperature: options.temperature ?? 0.7,
+            max_tokens: options.maxTokens || 4000
+        };
+
+        // include_usage adds a final chunk with token counts (for usage accounting)
+        if (stream) {
+            body.stream = true;
+            body.stream_options = { include_usage: true };
+        }
+
+        if (config.jsonMode === 'response_format') {
+            body.response_format = { type: 'json_object' };
+        } else if (config.jsonMode === 'prompt') {
+            body.messages = [...messages, { role: 'system', content: JSON_ONLY_INSTRUCTION }];
+        }
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (config.apiKey) headers['Authorization'] = `Bearer ${config.apiKey}`;
+
+        return { body, headers };
+    };
+
+    return {
+        name,
+        label: config.label,
+        model: config.model,
+        supportsVision: !!config.vision,
+
+        isConfigured() {
+            return !config.requiresKey || !!config.apiKey;
+        },
+
+        allowsModel(model) {
+            return isAllowedModel(config, model);
+        },
+
+        async complete(messages, options = {}) {
+            const { body, headers } = buildRequest(messages, options, false);
+
+            const response = await withRetries(config, () => http.post(
+                name,
+                `${config.baseUrl}/chat/completions`,
+                body,
+                { headers, timeout: config.timeout, signal: options.signal }
+            ));
+
+            return {
+                content: response.data.choices[0].message.content,
+                usage: response.data.usage || null
+            };
+        },
+
+        async stream(messages, options = {}) {
+            const { body, headers } = buildRequest(messages, options, true);
+            const onDelta = options.onDelta || (() => {});
+
+            // Retries only cover opening the stream; once deltas flow they are not replayed
+            const response = await withRetries(config, () => http.post(
+                name,
+                `${config.baseUrl}/chat/completions`,
+                body,
+                { headers, timeout: config.timeout, responseType: 'stream', signal: options.signal }
+            ));
+
+            let content = '';
+            let pending = '';
+            let finished = false;
+            let usage = null;
+
+            // Restarted by every chunk; when it runs out the connection is dropped and the loop throws
+            let idleTimer = null;
+            const restartIdleTimer = () => {
+                clearTimeout(idleTimer);
+                idleTimer = setTimeout(() => {
+                    response.data.destroy(new Error(`${config.label} sent nothing for ${STREAM_IDLE_MS / 1000}s, the answer was cut off`));
+                }, STREAM_IDLE_MS);
+            };
+            restartIdleTimer();
+
+            try {
+                for await (const chunk of response.data) {
+                    restartIdleTimer();
+                    pending += chunk.toString('utf8');
+
+                    // Upstream is SSE too: one "data: {...}" payload per line
+                    const lines = pending.split('\n');
+                    pending = lines.pop();
+
+                    for (const line of lines) {
+                        const trimmed = line.trim();
+                        if (!trimmed.startsWith('data:')) continue;
+
+                        const payload = trimmed.slice(5).trim();
+                        if (payload === '[DONE]') {
+                            finished = true;
+                            continue;
+                        }
+
+                        const data = JSON.parse(payload);
+                        if (data.usage) usage = data.usage;
+
+                        const choice = data.choices?.[0];
+                        if (choice?.finish_reason) finished = true;
+
+                        const delta = choice?.delta?.content;
+                        if (delta) {
+                            content += delta;
+                            onDelta(delta, content);
+                        }
+                    }
+                }
+            } finally {
+                clearTimeout(idleTimer);
+            }
+
+            if (!finished) {
+                throw new Error('AI stream ended before completion');
+            }
+
+            return { content, usage };
+        }
+    };
+}
+
+// Function: The text of a message's content (plain string or text/image parts)
+function textOf(content) {
+    if (!Array.isArray(content)) return String(content || '');
+    return content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+}
+
+// Function: Create the offline echo provider
+// Deterministic and network-free: builds a small page out of the last user message.
+function createEchoProvider() {
+    const render = (messages) => {
+        const last = [...messages].reverse().find(m => m.role === 'user');
+        const text = textOf(last ? last.content : '').replace(/^Create a website for:\s*/i, '');
+        const safe = text.replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+
+        return JSON.stringify({
+            html: `<main class="echo">\n    <h1>${safe}</h1>\n    <p>Generated offline by the echo provider.</p>\n</main>`,
+            css: '.echo {\n    font-family: sans-serif;\n    text-align: center;\n    padding: 50px;\n}',
+            js: `console.log(${JSON.stringify('echo: ' + text)});`,
+            message: `Echo: ${text}`
+        });
+    };
+
+    return {
+        name: 'echo',
+        label: 'Echo (offline)',
+        model: 'echo-template',
+        // Accepts images (and ignores them) so the image flow can be tried offline
+        supportsVision: true,
+
+        isConfigured() {
+            return true;
+        },
+
+        allowsModel(model) {
+            return model === 'echo-template';
+        },
+
+        async complete(messages) {
+            return { content: render(messages), usage: null };
+        },
+
+        async stream(messages, options = {}) {
+            const content = render(messages);
+            const onDelta = options.onDelta || (() => {});
+
+            // Emit in fixed-size slices so streaming clients get more than one event
+            let sent = '';
+            for (let i = 0; i < content.length; i += 64) {
+                const delta = content.slice(i, i + 64);
+                sent += delta;
+                onDelta(delta, sent);
+            }
+
+            return { content, usage: null };
+        }
+    };
+}
+
+const DEFAULT_PROVIDER = (process.env.AI_PROVIDER || 'deepseek').toLowerCase();
+
+// Provider for requests with images when the chosen one can't see them
+const VISION_PROVIDER = (process.env.VISION_PROVIDER || '').toLowerCase();
+
+// AI_MODEL overrides the model of whichever provider AI_PROVIDER selects
+if (process.env.AI_MODEL && PROVIDER_CONFIGS[DEFAULT_PROVIDER]) {
+    PROVIDER_CONFIGS[DEFAULT_PROVIDER].model = process.env.AI_MODEL;
+}
+
+const providers = {
+    echo: createEchoProvider()
+};
+
+for (const [name, config] of Object.entries(PROVIDER_CONFIGS)) {
+    providers[name] = createOpenAICompatibleProvider(name, config);
+}
+
+if (!providers[DEFAULT_PROVIDER]) {
+    throw new Error(`Unknown AI_PROVIDER "${DEFAULT_PROVIDER}". Use one of: ${Object.keys(providers).join(', ')}`);
+}
+
+// Function: Look up a provider by name (falls back to AI_PROVIDER)
+// Anything but a known name (a number, an object, "constructor") is an unknown provider.
+function getProvider(name) {
+    const key = name ? name : DEFAULT_PROVIDER;
+    const provider = typeof key === 'string' && Object.hasOwn(providers, key.toLowerCase()) ? providers[key.toLowerCase()] : null;
+
+    if (!provider) {
+        const error = new Error(`Unknown AI provider ${JSON.stringify(name)}. Use one of: ${Object.keys(providers).join(', ')}`);
+        error.status = 400;
+        throw error;
+    }
+
+    return provider;
+}
+
+// Function: Look up the provider for a request with images
+// The requested (or default) provider if it can read images, otherwise VISION_PROVIDER.
+// Throws (status 400) with an explanation when neither can.
+function getVisionProvider(name) {
+    const provider = getProvider(name);
+    if (provider.supportsVision && provider.isConfigured()) return provider;
+
+    const fallback = providers[VISION_PROVIDER];
+    if (fallback && fallback.supportsVision && fallback.isConfigured()) return fallback;
+
+    const error = new Error(`${provider.label} can't read images, and no vision-capable provider is configured. ` +
+        'Set VISION_PROVIDER to one (for example openai with OPENAI_API_KEY), or describe the design in words instead.');
+    error.status = 400;
+    throw error;
+}
+
+// Function: Check the model a chat request asks for (none is fine, the provider's default is used)
+// Throws (status 400) for models the provider that would answer is not allowed to run.
+function checkModel(name, model, withImages = false) {
+    if (model === undefined || model === null || model === '') return;
+
+    const provider = withImages ? getVisionProvider(name) : getProvider(name);
+    if (typeof model === 'string' && provider.allowsModel(model)) return;
+
+    const error = new Error(`Model ${JSON.stringify(model)} is not available for ${provider.label}`);
+    error.status = 400;
+    throw error;
+}
+
+// Function: Validate the images of a chat request
+// Takes data URLs ("data:image/png;base64,...") and returns them cleaned; throws (status 400) on bad input.
+function normalizeImages(input) {
+    if (input === undefined || input === null) return [];
+    if (!Array.isArray(input)) throw invalidImages('"images" must be an array of data URLs');
+    if (input.length > MAX_IMAGES) throw invalidImages(`At most ${MAX_IMAGES} images per message`);
+
+    return input.map((image, i) => {
+        const match = /^data:([\w/+.-]+);base64,([A-Za-z0-9+/=\s]+)$/.exec(typeof image === 'string' ? image : '');
+
+        if (!match) throw invalidImages(`Image ${i + 1} is not a base64 data URL`);
+        if (!IMAGE_TYPES.includes(match[1].toLowerCase())) {
+            throw invalidImages(`Image ${i + 1} is ${match[1]}; use PNG, JPEG, WebP or GIF`);
+        }
+
+        const data = match[2].replace(/\s/g, '');
+        if (Buffer.byteLength(data, 'base64') > MAX_IMAGE_BYTES) {
+            throw invalidImages(`Image ${i + 1} is larger than ${MAX_IMAGE_BYTES / 1024 / 1024} MB`);
+        }
+
+        return `data:${match[1].toLowerCase()};base64,${data}`;
+    });
+}
+
+// Function: Error that the API reports as 400
+function invalidImages(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Function: Content of a user message with images attached
+function userContent(text, images = []) {
+    if (images.length === 0) return text;
+
+    return [
+        { type: 'text', text },
+        ...images.map(url => ({ type: 'image_url', image_url: { url } }))
+    ];
+}
+
+// Function: Describe the active provider for /health
+function getProviderStatus() {
+    const provider = getProvider();
+    let vision = null;
+
+    try {
+        vision = getVisionProvider().name;
+    } catch (error) {
+        // No provider can read images
+    }
+
+    return {
+        provider: provider.name,
+        model: provider.model,
+        configured: provider.isConfigured(),
+        vision,
+        available: Object.keys(providers)
+    };
+}
+
+module.exports = {
+    getProvider,
+    getVisionProvider,
+    checkModel,
+    normalizeImages,
+    userContent,
+    getProviderStatus
+};
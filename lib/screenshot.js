@@ -0,0 +1,246 @@
+const fs = require('fs/promises');
+const { constants } = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { buildSite, normalizePath, contentTypeFor, fileBuffer } = require('./files');
+
+// Screenshots of a project, rendered by a local Chromium in headless mode
+// Chromium's own --screenshot is used once per width, so no browser-automation package is needed.
+// Set CHROMIUM_PATH when the browser isn't on the PATH under one of the usual names.
+// Captures run one at a time: each one starts a whole browser.
+//
+// The pages are untrusted code, so the built site (includes expanded, like a deploy) is served
+// from a throwaway http origin on 127.0.0.1, never from file://, with the preview's CSP on every
+// response. That server is also Chromium's proxy for every request, loopback included, and it
+// answers nothing but the site's own files: no other local service, metadata address or remote
+// host can end up in a screenshot.
+
+const DEVICES = {
+    phone: { width: 390, height: 844 },
+    tablet: { width: 768, height: 1024 },
+    desktop: { width: 1280, height: 800 }
+};
+
+const MIN_WIDTH = 240;
+const MAX_WIDTH = 2560;
+const MAX_SHOTS = 4;
+
+// How long a page may run scripts and load fonts before it is captured, and how long Chromium gets in all
+const RENDER_BUDGET_MS = 3000;
+const CAPTURE_TIMEOUT_MS = parseInt(process.env.SCREENSHOT_TIMEOUT_MS, 10) || 20000;
+
+// The preview's CSP (index.html), plus 'self' for the site's own files: no fetch, frames or form
+// posts. Remote https assets are allowed by it but never reach the network (see serveSite).
+const SITE_CSP = [
+    "default-src 'none'",
+    "script-src 'self' 'unsafe-inline' 'unsafe-eval' https: data:",
+    "style-src 'self' 'unsafe-inline' https: data:",
+    "img-src 'self' https: data: blob:",
+    "font-src 'self' https: data:",
+    "media-src 'self' https: data: blob:",
+    "connect-src 'none'",
+    "form-action 'none'",
+    "frame-src 'none'",
+    "base-uri 'none'"
+].join('; ');
+
+const BROWSER_NAMES = ['chromium', 'chromium-browser', 'google-chrome', 'google-chrome-stable', 'chrome'];
+
+let browserPath;
+let queue = Promise.resolve();
+
+// Function: Error with an HTTP status for the API
+function screenshotError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Function: The Chromium executable (null when there is none)
+// Looked up once: CHROMIUM_PATH, else the usual names on the PATH.
+async function findChromium() {
+    if (browserPath !== undefined) return browserPath;
+
+    const candidates = process.env.CHROMIUM_PATH
+        ? [process.env.CHROMIUM_PATH]
+        : (process.env.PATH || '').split(path.delimiter).filter(Boolean)
+            .flatMap(dir => BROWSER_NAMES.map(name => path.join(dir, name)));
+
+    browserPath = null;
+    for (const candidate of candidates) {
+        try {
+            await fs.access(candidate, constants.X_OK);
+            browserPath = candidate;
+            break;
+        } catch (error) {
+            // not this one
+        }
+    }
+
+    return browserPath;
+}
+
+// Function: The sizes to capture, from preset names and/or widths
+// sizes: ['phone', 'desktop', 1024, ...] (default: phone, tablet and desktop). Throws (status 400).
+function readSizes(sizes) {
+    const list = sizes === undefined ? Object.keys(DEVICES) : sizes;
+
+    if (!Array.isArray(list) || list.length === 0 || list.length > MAX_SHOTS) {
+        throw screenshotError(`Ask for 1 to ${MAX_SHOTS} sizes (${Object.keys(DEVICES).join(', ')} or a width in pixels)`, 400);
+    }
+
+    return list.map(size => {
+        if (DEVICES[size]) return { device: size, ...DEVICES[size] };
+
+        const width = Number(size);
+        if (!Number.isInteger(width) || width < MIN_WIDTH || width > MAX_WIDTH) {
+            throw screenshotError(`"${size}" is not a device (${Object.keys(DEVICES).join(', ')}) or a width from ${MIN_WIDTH} to ${MAX_WIDTH}`, 400);
+        }
+        return { device: 'custom', width, height: Math.round(width * 0.625) };
+    });
+}
+
+// Function: Serve the built site on 127.0.0.1 until close() is called
+// Resolves to { origin, close }. Requests for another host (it is also Chromium's proxy) get a 403
+// and CONNECT (https) isn't handled, so its connections are dropped.
+async function serveSite(files) {
+    const site = new Map(buildSite(files).map(file => [file.path, file]));
+    let origin;
+
+    const server = http.createServer((req, res) => {
+        let url;
+        try {
+            url = new URL(req.url, `http://${req.headers.host}`);
+        } catch (error) {
+            url = null;
+        }
+
+        if (!url || url.origin !== origin || (req.method !== 'GET' && req.method !== 'HEAD')) {
+            res.writeHead(403, { 'Content-Type': 'text/plain' });
+            return res.end('Blocked');
+        }
+
+        let filePath = null;
+        try {
+            filePath = normalizePath(decodeURIComponent(url.pathname).replace(/\/$/, '/index.html'));
+        } catch (error) {
+            // malformed escape, not a file of the site
+        }
+        const file = filePath && (site.get(filePath) || site.get(`${filePath}/index.html`));
+
+        if (!file) {
+            res.writeHead(404, { 'Content-Type': 'text/plain', 'Content-Security-Policy': SITE_CSP });
+            return res.end('Not found');
+        }
+
+        res.writeHead(200, { 'Content-Type': contentTypeFor(file.path), 'Content-Security-Policy': SITE_CSP });
+        res.end(req.method === 'HEAD' ? undefined : fileBuffer(file));
+    });
+    server.on('connect', (req, socket) => socket.destroy());
+    server.on('clientError', (error, socket) => socket.destroy());
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', resolve);
+    });
+    origin = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        origin,
+        close: () => {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+// Function: Run Chromium once and resolve when it exits
+function runChromium(executable, args) {
+    return new Promise((resolve, reject) => {
+        execFile(executable, args, { timeout: CAPTURE_TIMEOUT_MS, killSignal: 'SIGKILL' }, (error, stdout, stderr) => {
+            if (error) {
+                const reason = error.killed ? `timed out after ${CAPTURE_TIMEOUT_MS / 1000}s` : (String(stderr).trim().split('\n').pop() || error.message);
+                return reject(screenshotError(`Chromium could not render the page: ${reason}`, 502));
+            }
+            resolve();
+        });
+    });
+}
+
+// Function: Capture one page of a project at several sizes
+// options: { page = 'index.html', sizes (see readSizes), scale = 1 }
+// scale below 1 gives smaller images of the same layout (thumbnails).
+// Returns [{ device, width, height, png: Buffer }]. Throws 503 when there is no Chromium.
+async function captureScreenshots(files, options = {}) {
+    const executable = await findChromium();
+    if (!executable) {
+        throw screenshotError('Screenshots need Chromium on the server. Install it or set CHROMIUM_PATH.', 503);
+    }
+
+    const page = normalizePath(options.page || 'index.html');
+    if (!page || !files.some(file => file.path === page)) {
+        throw screenshotError(`The project has no page "${options.page}"`, 400);
+    }
+
+    const sizes = readSizes(options.sizes);
+    const scale = Math.min(Math.max(Number(options.scale) || 1, 0.1), 2);
+
+    const capture = async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'happy-shot-'));
+        let site;
+
+        try {
+            site = await serveSite(files);
+            const url = `${site.origin}/${page.split('/').map(encodeURIComponent).join('/')}`;
+            const shots = [];
+
+            for (const size of sizes) {
+                const output = path.join(dir, `${size.width}x${size.height}.png`);
+
+                await runChromium(executable, [
+                    '--headless',
+                    '--disable-gpu',
+                    '--hide-scrollbars',
+                    '--mute-audio',
+                    '--no-first-run',
+                    '--no-default-browser-check',
+                    '--disable-background-networking',
+                    '--disable-extensions',
+                    '--disable-sync',
+                    // No network but the site: every request goes through its server, and no name resolves
+                    `--proxy-server=${site.origin}`,
+                    '--proxy-bypass-list=<-loopback>',
+                    '--host-resolver-rules=MAP * ~NOTFOUND, EXCLUDE 127.0.0.1',
+                    // Chromium refuses its sandbox as root (containers)
+                    ...(process.getuid && process.getuid() === 0 ? ['--no-sandbox'] : []),
+                    `--user-data-dir=${path.join(dir, 'profile')}`,
+                    `--window-size=${size.width},${size.height}`,
+                    `--force-device-scale-factor=${scale}`,
+                    `--virtual-time-budget=${RENDER_BUDGET_MS}`,
+                    `--screenshot=${output}`,
+                    url
+                ]);
+
+                shots.push({ ...size, png: await fs.readFile(output) });
+            }
+
+            return shots;
+        } finally {
+            if (site) await site.close();
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    };
+
+    const result = queue.then(capture, capture);
+    queue = result.catch(() => {});
+    return result;
+}
+
+module.exports = {
+    DEVICES,
+    findChromium,
+    readSizes,
+    captureScreenshots
+};
@@ -0,0 +1,159 @@
+const parse5 = require('parse5');
+const { isHTMLPath, buildSite } = require('./files');
+
+// Security scan of generated JavaScript
+// Looks for patterns a malicious or hallucinated script would need: sending cookies or password
+// fields somewhere, key logging, injecting scripts from computed URLs, obfuscated eval and
+// crypto-miners. Storage uploads and calls to paths like the builder's API are only reported.
+// It reads .js files and the scripts inside pages.
+// Findings have the same shape as lib/audit.js with category 'security':
+//   error   = dangerous, deploys are refused
+//   warning = risky but common in real sites, reported only
+// This is a tripwire, not a sandbox: the preview iframe is sandboxed separately (see index.html).
+
+// Network calls a script could send data out with
+const SINKS = /\bfetch\s*\(|\bsendBeacon\s*\(|\bXMLHttpRequest\b|\bnew\s+WebSocket\s*\(|\bnew\s+Image\s*\(|\bnew\s+EventSource\s*\(/g;
+
+// Reads of things worth stealing
+const SECRETS = /document\.cookie|type\s*=\s*["']password["']|\[type=["']?password|\.password\b|\bcredentials\.get\b/;
+
+// Storage reads (writing is fine): a todo list syncing its items or a chatbot sending its
+// history does this too, so it is only reported
+const STORAGE_READS = /\b(?:localStorage|sessionStorage)\s*(?:\.getItem\s*\(|\[|\)|\s*,)|\(\s*(?:localStorage|sessionStorage)\s*\)/;
+
+// A secret read this close to a network call (in characters) counts as one data flow:
+// mostly after the call (its arguments), a little before (a variable built just for it)
+const FLOW_WINDOW = 300;
+const FLOW_LOOKBEHIND = 150;
+
+const MINERS = /\b(?:coinhive|coin-hive|cryptonight|crypto-?loot|jsecoin|webmine(?:r)?pool|deepminer|coinimp|minero\.cc|monerominer|cryptominer|stratum\+tcp)\b/i;
+
+// Paths of the builder's own API (a generated site's own backend can use the same names)
+const BUILDER_API = /['"`](?:https?:\/\/[^'"`\s]*)?\/api\/(?:deploy|deployments|save|projects|history|integrations|auth|chat|conversations)\b/;
+
+// Function: Line number of an index in a text
+function lineAt(text, index) {
+    return text.slice(0, index).split('\n').length;
+}
+
+// Function: Every match of a global pattern as [{ index, text }]
+function matchAll(text, pattern) {
+    const flags = pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g';
+    return [...text.matchAll(new RegExp(pattern.source, flags))].map(m => ({ index: m.index, text: m[0] }));
+}
+
+// Function: Scan one script
+// offset is the line the script starts on within its file (inline scripts in pages).
+function scanScript(source, file, offset, findings) {
+    const add = (id, severity, index, message) => {
+        findings.push({ id, category: 'security', severity, file, line: offset + lineAt(source, index) - 1, message });
+    };
+    const near = (index, pattern, before = FLOW_WINDOW) => pattern.test(source.slice(Math.max(0, index - before), index + FLOW_WINDOW));
+
+    const sinks = matchAll(source, SINKS);
+    const callName = match => match.text.replace(/\s*\(.*$/, '').trim();
+
+    // Secrets flowing into a network call
+    const leak = sinks.find(sink => near(sink.index, SECRETS, FLOW_LOOKBEHIND));
+    if (leak) {
+        add('exfiltration', 'error', leak.index, `Sends cookies or password fields over the network (${callName(leak)}), this looks like credential theft`);
+    } else {
+        const cookie = source.search(/document\.cookie/);
+        if (cookie !== -1) add('cookie-access', 'warning', cookie, 'Reads document.cookie');
+    }
+
+    const upload = sinks.find(sink => near(sink.index, STORAGE_READS, FLOW_LOOKBEHIND));
+    if (upload) add('storage-upload', 'warning', upload.index, `Sends data read from localStorage or sessionStorage over the network (${callName(upload)})`);
+
+    // Page-wide key listeners only: a search box fetching suggestions on keyup is normal
+    const keys = matchAll(source, /\b(?:document|window)\.(?:addEventListener\s*\(\s*['"]key(?:down|up|press)['"]|onkey(?:down|up|press)\s*=)/g)
+        .find(listener => sinks.some(sink => Math.abs(sink.index - listener.index) < FLOW_WINDOW * 2));
+    if (keys) add('keylogger', 'error', keys.index, 'Records every key press on the page and sends them over the network');
+
+    // Reported only: a site's own backend may well have an /api/chat or /api/projects
+    const api = BUILDER_API.exec(source);
+    if (api) add('builder-api', 'warning', api.index, `Calls ${api[0].slice(1)}, which is also the builder's own API; make sure it is the site's backend`);
+
+    const miner = MINERS.exec(source);
+    if (miner) add('crypto-miner', 'error', miner.index, `References a crypto-miner (${miner[0]})`);
+
+    // Scripts added at runtime: fine from a fixed https URL, dangerous from a computed or http one
+    matchAll(source, /createElement\s*\(\s*['"]script['"]\s*\)/g).forEach(created => {
+        const after = source.slice(created.index, created.index + FLOW_WINDOW);
+        const src = /\.src\s*=\s*([^;\n]+)/.exec(after);
+        if (!src) return;
+
+        if (/^['"`]https:\/\/[^'"`$+]+['"`]\s*$/.test(src[1].trim())) {
+            add('remote-script', 'warning', created.index, `Loads a remote script at runtime (${src[1].trim()})`);
+        } else {
+            add('remote-script', 'error', created.index, `Injects a script from a computed or insecure URL (${src[1].trim().slice(0, 80)})`);
+        }
+    });
+
+    const written = /document\.write(?:ln)?\s*\([^)]*<script/i.exec(source);
+    if (written) add('remote-script', 'error', written.index, 'Writes a <script> tag with document.write');
+
+    // eval and friends; with decoding nearby it is obfuscated code
+    matchAll(source, /\beval\s*\(|\bnew\s+Function\s*\(|\bset(?:Timeout|Interval)\s*\(\s*['"`]/g).forEach(call => {
+        if (near(call.index, /\batob\s*\(|\bunescape\s*\(|String\.fromCharCode|\\x[0-9a-f]{2}/i)) {
+            add('obfuscated-eval', 'error', call.index, `Runs decoded or obfuscated code (${callName(call)})`);
+        } else {
+            add('eval', 'warning', call.index, `Runs code from a string (${callName(call)})`);
+        }
+    });
+
+    const escaped = /(?:\\x[0-9a-f]{2}){30,}/i.exec(source);
+    if (escaped) add('obfuscated', 'error', escaped.index, 'Contains a long hex-escaped string, a common way to hide code');
+}
+
+// Function: Scan the scripts of one page
+function scanPage(page, findings) {
+    const document = parse5.parse(page.content, { sourceCodeLocationInfo: true });
+
+    const visit = node => {
+        if (node.tagName === 'script') {
+            const src = (node.attrs.find(a => a.name === 'src') || {}).value;
+            const line = node.sourceCodeLocation ? node.sourceCodeLocation.startLine : 1;
+
+            if (src) {
+                if (MINERS.test(src)) {
+                    findings.push({ id: 'crypto-miner', category: 'security', severity: 'error', file: page.path, line, message: `Loads a crypto-miner (${src})` });
+                } else if (/^http:\/\//i.test(src)) {
+                    findings.push({ id: 'insecure-script', category: 'security', severity: 'warning', file: page.path, line, message: `Loads a script over plain http (${src})` });
+                }
+            } else {
+                const text = (node.childNodes || []).map(child => child.value || '').join('');
+                scanScript(text, page.path, line, findings);
+            }
+        }
+
+        (node.childNodes || []).forEach(visit);
+        if (node.content) visit(node.content);
+    };
+
+    visit(document);
+}
+
+// Function: Scan a project's files
+// Returns { findings, counts: { error, warning }, dangerous }.
+function scanFiles(files) {
+    const findings = [];
+
+    buildSite(files)
+        .filter(file => file.encoding !== 'base64')
+        .forEach(file => {
+            if (isHTMLPath(file.path)) scanPage(file, findings);
+            else if (/\.m?js$/i.test(file.path)) scanScript(file.content, file.path, 1, findings);
+        });
+
+    findings.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+
+    const counts = { error: 0, warning: 0 };
+    findings.forEach(finding => counts[finding.severity]++);
+
+    return { findings, counts, dangerous: counts.error > 0 };
+}
+
+module.exports = {
+    scanFiles
+};
@@ -0,0 +1,631 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Project storage
+// Every backend implements the same async interface:
+//   listProjects(userId, { limit, offset }) -> { projects: [summary], total }
+//   listSharedProjects(userId)               -> [summary] of other users' projects shared with the user
+//   getProject(id)                           -> project | null
+//   saveProject(project)                     -> project (created or replaced)
+//   saveThumbnail(id, updatedAt, thumbnail)  -> boolean; sets only { thumbnail, thumbnailAt }, and only
+//                                               while the project is still the version of updatedAt
+//   deleteProject(id)                        -> boolean (also drops its revisions)
+//   addRevision(projectId, revision)         -> revision with its number assigned
+//   listRevisions(projectId)                 -> [revision], oldest first
+//   getUser(id) / getUserByEmail(email)      -> user | null
+//   saveUser(user)                           -> user
+//   getDeployment(id)                        -> deployment | null
+//   saveDeployment(deployment)               -> deployment (see lib/deployments.js)
+//   addUsage(userId, day, delta)             -> usage record with delta's counters added
+//   listUsage({ from, to, userId })          -> [usage record], by day then user
+//   getLibrary(ownerId)                      -> { brandKits, presets } (empty when there is none)
+//   saveLibrary(ownerId, library)            -> library
+//   addSystemPrompt(version)                 -> version with its number assigned
+//   listSystemPrompts()                      -> [version], oldest first
+//   getConversation(id)                      -> conversation | null
+//   saveConversation(conversation)           -> conversation (created or replaced)
+// A project is { id, userId, name, files, code: { html, css, js }, createdAt, updatedAt }
+// where files is the file tree (see lib/files.js) and code mirrors its main files.
+// Projects may also have a thumbnail (base64 PNG) and thumbnailAt, see refreshThumbnail in server.js,
+// and collaborators: [userId], the users it is shared with (see lib/collab.js).
+// A revision is { id, number, source, prompt, message, files, code, createdAt }.
+// Projects and revisions saved before files existed only have code.
+// A user is { id, email, passwordHash, createdAt }; emails are stored lower-cased.
+// A usage record is { userId, day: 'YYYY-MM-DD', ...counters } (see lib/usage.js).
+// A library holds a user's (or the workspace's) brand kits and presets; a system prompt version
+// is { id, number, mode, content, note, createdBy, createdAt } (see lib/prompts.js).
+// A conversation is a chat thread { id, userId, projectId, messages, createdAt, updatedAt }
+// (see lib/conversations.js).
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+// Oldest revisions are dropped beyond this
+const MAX_REVISIONS = parseInt(process.env.MAX_REVISIONS, 10) || 200;
+
+// The memory backend forgets the least recently used chat threads beyond this
+const MAX_MEMORY_CONVERSATIONS = parseInt(process.env.MAX_MEMORY_CONVERSATIONS, 10) || 1000;
+
+// Function: Is this a safe project/user id (also used as a file name)?
+function isValidId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+// Function: Make a new project id
+function createProjectId() {
+    return `project_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Function: Short listing entry for a project
+function summarize(project) {
+    const html = project.code.html || '';
+
+    return {
+        id: project.id,
+        userId: project.userId,
+        name: project.name,
+        preview: html ? html.substring(0, 200) + '...' : '',
+        thumbnailAt: project.thumbnailAt || null,
+        timestamp: project.updatedAt,
+        createdAt: project.createdAt,
+        updatedAt: project.updatedAt
+    };
+}
+
+// Function: Newest first, then page
+function paginate(projects, { limit = 50, offset = 0 } = {}) {
+    const sorted = projects.slice().sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+    return {
+        projects: sorted.slice(offset, offset + limit).map(summarize),
+        total: sorted.length
+    };
+}
+
+// Function: Number a new revision and append it, trimming the oldest
+function appendRevision(revisions, revision) {
+    const last = revisions[revisions.length - 1];
+    const number = last ? last.number + 1 : 1;
+    const stored = { ...revision, id: `rev_${number}`, number };
+
+    revisions.push(stored);
+    if (revisions.length > MAX_REVISIONS) revisions.splice(0, revisions.length - MAX_REVISIONS);
+
+    return stored;
+}
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Function: Add a delta's counters to a usage record
+function addCounters(record, delta) {
+    for (const [key, value] of Object.entries(delta)) {
+        if (typeof value === 'number') record[key] = (record[key] || 0) + value;
+    }
+    return record;
+}
+
+// Function: An empty brand kit / preset library
+function emptyLibrary() {
+    return { brandKits: [], presets: [] };
+}
+
+// Function: Number a new system prompt version and append it
+function appendSystemPrompt(versions, version) {
+    const number = versions.length > 0 ? versions[versions.length - 1].number + 1 : 1;
+    const stored = { ...version, id: `sp_${number}`, number };
+    versions.push(stored);
+    return stored;
+}
+
+// Function: Keep usage records within { from, to, userId }, ordered by day then user
+function filterUsage(records, { from, to, userId } = {}) {
+    return records
+        .filter(r => (!from || r.day >= from) && (!to || r.day <= to) && (!userId || r.userId === userId))
+        .sort((a, b) => a.day.localeCompare(b.day) || a.userId.localeCompare(b.userId));
+}
+
+// Function: In-memory storage (tests, and hosts without a writable disk)
+function createMemoryStorage() {
+    const projects = new Map();
+    const revisions = new Map();
+    const users = new Map();
+    const deployments = new Map();
+    const usage = new Map();
+    const libraries = new Map();
+    const systemPrompts = [];
+    // Map order is the recency order: reads and saves move a thread to the end
+    const conversations = new Map();
+
+    return {
+        name: 'memory',
+
+        async listProjects(userId, options) {
+            return paginate([...projects.values()].filter(p => p.userId === userId), options);
+        },
+
+        async listSharedProjects(userId) {
+            const shared = [...projects.values()].filter(p => (p.collaborators || []).includes(userId));
+            return paginate(shared, { limit: shared.length }).projects;
+        },
+
+        async getProject(id) {
+            const project = projects.get(id);
+            return project ? structuredClone(project) : null;
+        },
+
+        async saveProject(project) {
+            projects.set(project.id, structuredClone(project));
+            return project;
+        },
+
+        async saveThumbnail(id, updatedAt, thumbnail) {
+            const project = projects.get(id);
+            if (!project || project.updatedAt !== updatedAt) return false;
+
+            projects.set(id, { ...project, thumbnail: thumbnail.thumbnail, thumbnailAt: thumbnail.thumbnailAt });
+            return true;
+        },
+
+        async deleteProject(id) {
+            revisions.delete(id);
+            return projects.delete(id);
+        },
+
+        async addRevision(projectId, revision) {
+            if (!revisions.has(projectId)) revisions.set(projectId, []);
+            return structuredClone(appendRevision(revisions.get(projectId), structuredClone(revision)));
+        },
+
+        async listRevisions(projectId) {
+            return structuredClone(revisions.get(projectId) || []);
+        },
+
+        async getUser(id) {
+            const user = users.get(id);
+            return user ? structuredClone(user) : null;
+        },
+
+        async getUserByEmail(email) {
+            const user = [...users.values()].find(u => u.email === email);
+            return user ? structuredClone(user) : null;
+        },
+
+        async saveUser(user) {
+            users.set(user.id, structuredClone(user));
+            return user;
+        },
+
+        async getDeployment(id) {
+            const deployment = deployments.get(id);
+            return deployment ? structuredClone(deployment) : null;
+        },
+
+        async saveDeployment(deployment) {
+            deployments.set(deployment.id, structuredClone(deployment));
+            return deployment;
+        },
+
+        async addUsage(userId, day, delta) {
+            const key = `${day}:${userId}`;
+            if (!usage.has(key)) usage.set(key, { userId, day });
+            return structuredClone(addCounters(usage.get(key), delta));
+        },
+
+        async listUsage(options) {
+            return structuredClone(filterUsage([...usage.values()], options));
+        },
+
+        async getLibrary(ownerId) {
+            return structuredClone(libraries.get(ownerId) || emptyLibrary());
+        },
+
+        async saveLibrary(ownerId, library) {
+            libraries.set(ownerId, structuredClone(library));
+            return library;
+        },
+
+        async addSystemPrompt(version) {
+            return structuredClone(appendSystemPrompt(systemPrompts, structuredClone(version)));
+        },
+
+        async listSystemPrompts() {
+            return structuredClone(systemPrompts);
+        },
+
+        async getConversation(id) {
+            const conversation = conversations.get(id);
+            if (!conversation) return null;
+
+            conversations.delete(id);
+            conversations.set(id, conversation);
+            return structuredClone(conversation);
+        },
+
+        async saveConversation(conversation) {
+            conversations.delete(conversation.id);
+            conversations.set(conversation.id, structuredClone(conversation));
+
+            while (conversations.size > MAX_MEMORY_CONVERSATIONS) {
+                conversations.delete(conversations.keys().next().value);
+            }
+            return conversation;
+        }
+    };
+}
+
+// Function: File storage, one JSON document per project
+// Writes go to a temp file first and are renamed into place, so a crash never leaves half a project.
+function createFileStorage(dataDir) {
+    const projectsDir = path.join(dataDir, 'projects');
+    const revisionsDir = path.join(dataDir, 'revisions');
+    const usersDir = path.join(dataDir, 'users');
+    const deploymentsDir = path.join(dataDir, 'deployments');
+    const usageDir = path.join(dataDir, 'usage');
+    const librariesDir = path.join(dataDir, 'libraries');
+    const conversationsDir = path.join(dataDir, 'conversations');
+    const systemPromptsFile = path.join(dataDir, 'system-prompts.json');
+    const fileFor = id => path.join(projectsDir, `${id}.json`);
+    const revisionsFileFor = id => path.join(revisionsDir, `${id}.json`);
+
+    // Every write gets a temp file of its own, so concurrent writes to one file can't mix or lose it
+    const writeAtomic = async (file, data) => {
+        const tmp = `${file}.${crypto.randomUUID()}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+        await fs.rename(tmp, file);
+    };
+
+    const readRevisions = async id => {
+        try {
+            return JSON.parse(await fs.readFile(revisionsFileFor(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    };
+
+    // Revisions are read-modify-write, so appends to one project run one at a time
+    const revisionQueues = new Map();
+
+    // Writes to one project file run one at a time too, so a thumbnail (read-modify-write) can't
+    // land on top of a save that came in meanwhile
+    const projectQueues = new Map();
+
+    const queueProjectWrite = (id, write) => {
+        const next = (projectQueues.get(id) || Promise.resolve()).catch(() => {}).then(write);
+        projectQueues.set(id, next);
+        next.catch(() => {}).then(() => {
+            if (projectQueues.get(id) === next) projectQueues.delete(id);
+        });
+        return next;
+    };
+
+    // Usage is one file per day ({ userId: record }), updated the same way
+    const usageFileFor = day => path.join(usageDir, `${day}.json`);
+    let usageQueue = Promise.resolve();
+
+    const readUsageDay = async day => {
+        try {
+            return JSON.parse(await fs.readFile(usageFileFor(day), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            throw error;
+        }
+    };
+
+    const readJSON = async (file, fallback) => {
+        try {
+            return JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return fallback;
+            throw error;
+        }
+    };
+
+    // System prompt versions are one file, appended one at a time
+    let systemPromptQueue = Promise.resolve();
+
+    // email -> user id, built on first use
+    let emailIndex = null;
+
+    const loadEmailIndex = async () => {
+        if (emailIndex) return emailIndex;
+
+        await fs.mkdir(usersDir, { recursive: true });
+        emailIndex = new Map();
+
+        for (const file of await fs.readdir(usersDir)) {
+            if (!file.endsWith('.json')) continue;
+
+            const user = JSON.parse(await fs.readFile(path.join(usersDir, file), 'utf8'));
+            emailIndex.set(user.email, user.id);
+        }
+
+        return emailIndex;
+    };
+
+    const readUser = async id => {
+        if (!isValidId(id)) return null;
+
+        try {
+            return JSON.parse(await fs.readFile(path.join(usersDir, `${id}.json`), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    };
+
+    // userId -> Set of project ids (owned, and shared with the user), built on first use
+    let index = null;
+    let sharedIndex = null;
+
+    const addToIndex = (idx, userId, projectId) => {
+        if (!idx.has(userId)) idx.set(userId, new Set());
+        idx.get(userId).add(projectId);
+    };
+
+    const loadIndex = async () => {
+        if (index) return index;
+
+        await fs.mkdir(projectsDir, { recursive: true });
+        index = new Map();
+        sharedIndex = new Map();
+
+        for (const file of await fs.readdir(projectsDir)) {
+            if (!file.endsWith('.json')) continue;
+
+            try {
+                const project = JSON.parse(await fs.readFile(path.join(projectsDir, file), 'utf8'));
+                addToIndex(index, project.userId, project.id);
+                (project.collaborators || []).forEach(userId => addToIndex(sharedIndex, userId, project.id));
+            } catch (error) {
+                logger.error('Skipping unreadable project file', { file, error });
+            }
+        }
+
+        return index;
+    };
+
+    const read = async id => {
+        try {
+            return JSON.parse(await fs.readFile(fileFor(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    };
+
+    return {
+        name: 'file',
+
+        async listProjects(userId, options) {
+            const ids = (await loadIndex()).get(userId) || new Set();
+            const projects = (await Promise.all([...ids].map(read))).filter(Boolean);
+            return paginate(projects, options);
+        },
+
+        async listSharedProjects(userId) {
+            await loadIndex();
+            const ids = sharedIndex.get(userId) || new Set();
+            const projects = (await Promise.all([...ids].map(read))).filter(Boolean);
+            return paginate(projects, { limit: projects.length }).projects;
+        },
+
+        async getProject(id) {
+            if (!isValidId(id)) return null;
+            return read(id);
+        },
+
+        async saveProject(project) {
+            if (!isValidId(project.id)) {
+                throw new Error(`Invalid project id "${project.id}"`);
+            }
+
+            const idx = await loadIndex();
+            await queueProjectWrite(project.id, () => writeAtomic(fileFor(project.id), project));
+
+            for (const ids of [...idx.values(), ...sharedIndex.values()]) ids.delete(project.id);
+            addToIndex(idx, project.userId, project.id);
+            (project.collaborators || []).forEach(userId => addToIndex(sharedIndex, userId, project.id));
+
+            return project;
+        },
+
+        async saveThumbnail(id, updatedAt, thumbnail) {
+            if (!isValidId(id)) return false;
+
+            return queueProjectWrite(id, async () => {
+                const project = await read(id);
+                if (!project || project.updatedAt !== updatedAt) return false;
+
+                await writeAtomic(fileFor(id), { ...project, thumbnail: thumbnail.thumbnail, thumbnailAt: thumbnail.thumbnailAt });
+                return true;
+            });
+        },
+
+        async deleteProject(id) {
+            if (!isValidId(id)) return false;
+
+            const idx = await loadIndex();
+
+            const deleted = await queueProjectWrite(id, async () => {
+                try {
+                    await fs.unlink(fileFor(id));
+                    return true;
+                } catch (error) {
+                    if (error.code === 'ENOENT') return false;
+                    throw error;
+                }
+            });
+            if (!deleted) return false;
+
+            await fs.rm(revisionsFileFor(id), { force: true });
+
+            for (const ids of [...idx.values(), ...sharedIndex.values()]) ids.delete(id);
+            return true;
+        },
+
+        async addRevision(projectId, revision) {
+            if (!isValidId(projectId)) {
+                throw new Error(`Invalid project id "${projectId}"`);
+            }
+
+            const previous = revisionQueues.get(projectId) || Promise.resolve();
+            const next = previous.catch(() => {}).then(async () => {
+                await fs.mkdir(revisionsDir, { recursive: true });
+                const revisions = await readRevisions(projectId);
+                const stored = appendRevision(revisions, revision);
+                await writeAtomic(revisionsFileFor(projectId), revisions);
+                return stored;
+            });
+
+            revisionQueues.set(projectId, next);
+            return next;
+        },
+
+        async listRevisions(projectId) {
+            if (!isValidId(projectId)) return [];
+            return readRevisions(projectId);
+        },
+
+        async getUser(id) {
+            return readUser(id);
+        },
+
+        async getUserByEmail(email) {
+            const id = (await loadEmailIndex()).get(email);
+            return id ? readUser(id) : null;
+        },
+
+        async saveUser(user) {
+            const idx = await loadEmailIndex();
+            await writeAtomic(path.join(usersDir, `${user.id}.json`), user);
+            idx.set(user.email, user.id);
+            return user;
+        },
+
+        async getDeployment(id) {
+            if (!isValidId(id)) return null;
+
+            try {
+                return JSON.parse(await fs.readFile(path.join(deploymentsDir, `${id}.json`), 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        async saveDeployment(deployment) {
+            await fs.mkdir(deploymentsDir, { recursive: true });
+            await writeAtomic(path.join(deploymentsDir, `${deployment.id}.json`), deployment);
+            return deployment;
+        },
+
+        async addUsage(userId, day, delta) {
+            if (!DAY_PATTERN.test(day)) {
+                throw new Error(`Invalid usage day "${day}"`);
+            }
+
+            const next = usageQueue.catch(() => {}).then(async () => {
+                await fs.mkdir(usageDir, { recursive: true });
+                const records = await readUsageDay(day);
+                const record = addCounters(records[userId] || { userId, day }, delta);
+                records[userId] = record;
+                await writeAtomic(usageFileFor(day), records);
+                return record;
+            });
+
+            usageQueue = next;
+            return next;
+        },
+
+        async listUsage(options = {}) {
+            let days;
+            try {
+                days = (await fs.readdir(usageDir))
+                    .filter(file => file.endsWith('.json'))
+                    .map(file => file.slice(0, -5))
+                    .filter(day => DAY_PATTERN.test(day) && (!options.from || day >= options.from) && (!options.to || day <= options.to));
+            } catch (error) {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            }
+
+            const records = [];
+            for (const day of days) {
+                records.push(...Object.values(await readUsageDay(day)));
+            }
+
+            return filterUsage(records, options);
+        },
+
+        async getLibrary(ownerId) {
+            if (!isValidId(ownerId)) return emptyLibrary();
+            return { ...emptyLibrary(), ...await readJSON(path.join(librariesDir, `${ownerId}.json`), {}) };
+        },
+
+        async saveLibrary(ownerId, library) {
+            if (!isValidId(ownerId)) {
+                throw new Error(`Invalid library owner "${ownerId}"`);
+            }
+
+            await fs.mkdir(librariesDir, { recursive: true });
+            await writeAtomic(path.join(librariesDir, `${ownerId}.json`), library);
+            return library;
+        },
+
+        async addSystemPrompt(version) {
+            const next = systemPromptQueue.catch(() => {}).then(async () => {
+                await fs.mkdir(dataDir, { recursive: true });
+                const versions = await readJSON(systemPromptsFile, []);
+                const stored = appendSystemPrompt(versions, version);
+                await writeAtomic(systemPromptsFile, versions);
+                return stored;
+            });
+
+            systemPromptQueue = next;
+            return next;
+        },
+
+        async listSystemPrompts() {
+            return readJSON(systemPromptsFile, []);
+        },
+
+        async getConversation(id) {
+            if (!isValidId(id)) return null;
+            return readJSON(path.join(conversationsDir, `${id}.json`), null);
+        },
+
+        async saveConversation(conversation) {
+            if (!isValidId(conversation.id)) {
+                throw new Error(`Invalid conversation id "${conversation.id}"`);
+            }
+
+            await fs.mkdir(conversationsDir, { recursive: true });
+            await writeAtomic(path.join(conversationsDir, `${conversation.id}.json`), conversation);
+            return conversation;
+        }
+    };
+}
+
+// Function: Create the storage backend selected by STORAGE_DRIVER
+function createStorage(driver = process.env.STORAGE_DRIVER || 'file') {
+    if (driver === 'memory') {
+        return createMemoryStorage();
+    }
+
+    if (driver === 'file') {
+        // Next to the code, out of git; the server only serves index.html. On Vercel only /tmp is writable
+        const defaultDir = process.env.VERCEL ? '/tmp/happy-ai-data' : path.join(__dirname, '..', '.data');
+        return createFileStorage(process.env.DATA_DIR || defaultDir);
+    }
+
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use "file" or "memory".`);
+}
+
+module.exports = {
+    createStorage,
+    createProjectId,
+    isValidId,
+    summarize
+};
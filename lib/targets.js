@@ -0,0 +1,456 @@
+const crypto = require('crypto');
+const {
+    MAX_LOG_LINES,
+    isFinished,
+    logStep,
+    setStatus,
+    failDeployment,
+    replaceBuildLogs,
+    markReady
+} = require('./deployments');
+const { createGitHubClient } = require('./github');
+const { fileBuffer } = require('./files');
+const { API_URLS, http, statusOf } = require('./http');
+const { logger } = require('./logger');
+
+// Deploy targets
+// Every target implements the same interface:
+//   name, label
+//   requires                                  -> the credential it can't work without ('vercel' | 'netlify' | 'github')
+//   deploy({ deployment, files, savedProject, credentials })
+//                                             -> hands the site to the host, fills deployment.remote and its status
+//   refresh(deployment, credentials)          -> follows the host's state, true if the job changed
+// files are [{ path, content, encoding? }] as committed to GitHub (encoding 'base64' for images
+// and fonts, see lib/files.js). A target may remember its site on
+// savedProject (the caller saves it afterwards), so redeploys update the same site.
+// The GitHub step runs before the target, so deployment.github is set when a GitHub token is.
+
+const VERCEL_API = API_URLS.vercel;
+const NETLIFY_API = API_URLS.netlify;
+
+const log = logger.child({ module: 'targets' });
+
+const DEFAULT_TARGET = 'vercel';
+
+// Function: Add a vercel.json that serves about.html at /about, unless the site has its own
+function withVercelConfig(files) {
+    if (files.some(file => file.path === 'vercel.json')) return files;
+    return [...files, { path: 'vercel.json', content: JSON.stringify({ cleanUrls: true }, null, 2) + '\n' }];
+}
+
+// Function: Is this deploy going to production (and not a pull request preview)?
+function isProduction(deployment) {
+    return !deployment.github || deployment.github.branch === deployment.github.defaultBranch;
+}
+
+// ====== VERCEL ======
+
+// Vercel readyState -> our status
+const VERCEL_STATES = {
+    QUEUED: 'queued',
+    INITIALIZING: 'building',
+    BUILDING: 'building',
+    READY: 'ready',
+    ERROR: 'error',
+    CANCELED: 'canceled'
+};
+
+// Function: Vercel query string for the credentials' team, if any
+function teamQuery(credentials, separator = '?') {
+    return credentials.vercelTeamId ? `${separator}teamId=${encodeURIComponent(credentials.vercelTeamId)}` : '';
+}
+
+const vercelTarget = {
+    name: 'vercel',
+    label: 'Vercel',
+    requires: 'vercel',
+
+    // Builds from the GitHub commit when there is one and a Vercel project to attach it to,
+    // otherwise uploads the files directly
+    async deploy({ deployment, files, credentials }) {
+        const { vercelProjectId } = credentials;
+        const headers = {
+            'Authorization': `Bearer ${credentials.vercelToken}`,
+            'Content-Type': 'application/json'
+        };
+        const production = isProduction(deployment);
+        let body;
+
+        if (deployment.github && vercelProjectId) {
+            log.info('Vercel deployment from the GitHub commit', { deploymentId: deployment.id });
+
+            const [org, repo] = deployment.github.repoName.split('/');
+            body = {
+                name: repo,
+                project: vercelProjectId,
+                gitSource: {
+                    type: 'github',
+                    org,
+                    repo,
+                    ref: deployment.github.branch,
+                    sha: deployment.github.commitSha
+                }
+            };
+        } else {
+            log.info('Vercel deployment uploading the files', { deploymentId: deployment.id });
+
+            body = {
+                name: deployment.github ? deployment.github.repoName.split('/')[1] : `happy-ai-website-${Date.now()}`,
+                ...(vercelProjectId ? { project: vercelProjectId } : {}),
+                files: withVercelConfig(files).map(file => ({
+                    file: file.path,
+                    data: file.content,
+                    ...(file.encoding === 'base64' ? { encoding: 'base64' } : {})
+                })),
+                projectSettings: {
+                    framework: null,
+                    installCommand: '',
+                    buildCommand: '',
+                    outputDirectory: '.'
+                }
+            };
+        }
+
+        // Pull request branches get a preview deployment, only the default branch goes to production
+        if (production) body.target = 'production';
+
+        const { data } = await http.post(
+            'vercel',
+            `${VERCEL_API}/v13/deployments${teamQuery(credentials)}`,
+            body,
+            { headers, timeout: 30000 }
+        );
+
+        deployment.remote = {
+            id: data.id,
+            url: data.url ? `https://${data.url}` : null,
+            inspectorUrl: data.inspectorUrl || null,
+            state: data.readyState || 'QUEUED',
+            teamId: credentials.vercelTeamId || null
+        };
+
+        setStatus(deployment, VERCEL_STATES[deployment.remote.state] || 'queued', `Vercel deployment ${data.id} created`);
+    },
+
+    async refresh(deployment, credentials) {
+        const remote = deployment.remote;
+        const headers = { 'Authorization': `Bearer ${credentials.vercelToken}` };
+
+        let data;
+        try {
+            ({ data } = await http.get(
+                'vercel',
+                `${VERCEL_API}/v13/deployments/${encodeURIComponent(remote.id)}${teamQuery(credentials)}`,
+                { headers, timeout: 15000 }
+            ));
+        } catch (error) {
+            if (statusOf(error) === 404) {
+                failDeployment(deployment, new Error('Vercel no longer has this deployment'));
+                return true;
+            }
+            // A failed poll says nothing about the deployment itself, try again next time
+            throw error;
+        }
+
+        const state = data.readyState || data.state;
+        const status = VERCEL_STATES[state] || deployment.status;
+        const changed = state !== remote.state;
+
+        remote.state = state;
+        remote.inspectorUrl = data.inspectorUrl || remote.inspectorUrl;
+
+        try {
+            const { data: events } = await http.get(
+                'vercel',
+                `${VERCEL_API}/v3/deployments/${encodeURIComponent(remote.id)}/events?builds=1&limit=${MAX_LOG_LINES}${teamQuery(credentials, '&')}`,
+                { headers, timeout: 15000 }
+            );
+
+            replaceBuildLogs(deployment, (Array.isArray(events) ? events : [])
+                .map(event => ({
+                    at: new Date(event.created || event.date || Date.now()).toISOString(),
+                    type: event.type === 'stderr' ? 'build-error' : 'build',
+                    text: (event.text || (event.payload && event.payload.text) || '').trimEnd()
+                }))
+                .filter(line => line.text));
+        } catch (error) {
+            // Build logs are a nice-to-have; the readyState above is what matters
+            log.warn('Could not read Vercel build logs', { deploymentId: deployment.id, remoteId: remote.id, error });
+        }
+
+        if (status === 'ready') {
+            // Production deployments get a stable alias; the unique deployment URL also works
+            const alias = Array.isArray(data.alias) && data.alias[0];
+            markReady(deployment, alias ? `https://${alias}` : remote.url, data.ready || Date.now());
+        } else if (status === 'error') {
+            deployment.error = data.errorMessage || 'The Vercel build failed, see the build logs';
+            setStatus(deployment, 'error', deployment.error);
+        } else if (status !== deployment.status || changed) {
+            setStatus(deployment, status, `Vercel: ${state}`);
+        }
+
+        return true;
+    }
+};
+
+// ====== NETLIFY ======
+
+// Netlify deploy states that mean it is over; everything else is still in progress
+const NETLIFY_FINISHED = {
+    ready: 'ready',
+    error: 'error',
+    rejected: 'error'
+};
+
+const netlifyTarget = {
+    name: 'netlify',
+    label: 'Netlify',
+    requires: 'netlify',
+
+    // File-digest deploy: send the SHA1 of every file, then upload only the ones Netlify asks for.
+    // The project remembers its site (savedProject.netlify), later deploys go to the same site.
+    async deploy({ deployment, files, savedProject, credentials }) {
+        const headers = { 'Authorization': `Bearer ${credentials.netlifyToken}` };
+        const linked = savedProject && savedProject.netlify;
+        let site = null;
+
+        if (linked) {
+            try {
+                ({ data: site } = await http.get('netlify', `${NETLIFY_API}/sites/${encodeURIComponent(linked.siteId)}`, { headers, timeout: 15000 }));
+            } catch (error) {
+                if (statusOf(error) !== 404) throw error;
+                logStep(deployment, 'The linked Netlify site is gone, creating a new one');
+            }
+        }
+
+        if (!site) {
+            ({ data: site } = await http.post('netlify', `${NETLIFY_API}/sites`, {}, { headers, timeout: 30000 }));
+            logStep(deployment, `Netlify site created: ${site.ssl_url || site.url}`);
+        }
+
+        const bodies = new Map();
+        const digests = {};
+        for (const file of files) {
+            const content = fileBuffer(file);
+            const sha = crypto.createHash('sha1').update(content).digest('hex');
+            digests[`/${file.path}`] = sha;
+            bodies.set(sha, { path: file.path, content });
+        }
+
+        // Pull request deploys become drafts: a preview URL that doesn't touch the live site
+        const draft = !isProduction(deployment);
+        const { data: netlifyDeploy } = await http.post(
+            'netlify',
+            `${NETLIFY_API}/sites/${site.id}/deploys`,
+            { files: digests, draft },
+            { headers, timeout: 30000 }
+        );
+
+        const required = netlifyDeploy.required || [];
+        for (const sha of required) {
+            const file = bodies.get(sha);
+            if (!file) continue;
+
+            await http.put(
+                'netlify',
+                `${NETLIFY_API}/deploys/${netlifyDeploy.id}/files/${file.path.split('/').map(encodeURIComponent).join('/')}`,
+                file.content,
+                {
+                    headers: { ...headers, 'Content-Type': 'application/octet-stream' },
+                    timeout: 60000
+                }
+            );
+        }
+        logStep(deployment, `Uploaded ${required.length} of ${files.length} files (the rest were unchanged)`);
+
+        deployment.remote = {
+            id: netlifyDeploy.id,
+            siteId: site.id,
+            url: draft ? netlifyDeploy.deploy_ssl_url : (site.ssl_url || site.url),
+            adminUrl: site.admin_url || null,
+            state: netlifyDeploy.state,
+            draft
+        };
+
+        if (savedProject) {
+            savedProject.netlify = {
+                siteId: site.id,
+                url: site.ssl_url || site.url
+            };
+        }
+
+        setStatus(deployment, 'building', `Netlify deploy ${netlifyDeploy.id} created`);
+    },
+
+    async refresh(deployment, credentials) {
+        const remote = deployment.remote;
+
+        let data;
+        try {
+            ({ data } = await http.get('netlify', `${NETLIFY_API}/deploys/${encodeURIComponent(remote.id)}`, {
+                headers: { 'Authorization': `Bearer ${credentials.netlifyToken}` },
+                timeout: 15000
+            }));
+        } catch (error) {
+            if (statusOf(error) === 404) {
+                failDeployment(deployment, new Error('Netlify no longer has this deploy'));
+                return true;
+            }
+            throw error;
+        }
+
+        const changed = data.state !== remote.state;
+        remote.state = data.state;
+
+        if (NETLIFY_FINISHED[data.state] === 'ready') {
+            markReady(deployment, remote.draft ? (data.deploy_ssl_url || remote.url) : (data.ssl_url || remote.url), data.published_at || Date.now());
+        } else if (NETLIFY_FINISHED[data.state] === 'error') {
+            deployment.error = data.error_message || 'The Netlify deploy failed';
+            setStatus(deployment, 'error', deployment.error);
+        } else if (changed) {
+            setStatus(deployment, 'building', `Netlify: ${data.state}`);
+        }
+
+        return changed;
+    }
+};
+
+// ====== GITHUB PAGES ======
+
+// Pages build status -> our status
+const PAGES_STATES = {
+    queued: 'queued',
+    building: 'building',
+    built: 'ready',
+    errored: 'error'
+};
+
+const githubPagesTarget = {
+    name: 'github-pages',
+    label: 'GitHub Pages',
+    requires: 'github',
+
+    // The commit is already on the default branch; Pages only has to be switched on once
+    async deploy({ deployment, credentials }) {
+        if (!deployment.github) {
+            throw new Error('GitHub Pages needs a connected GitHub account');
+        }
+
+        const octokit = createGitHubClient(credentials.githubToken);
+        const [owner, repo] = deployment.github.repoName.split('/');
+
+        try {
+            await octokit.rest.repos.createPagesSite({
+                owner,
+                repo,
+                source: { branch: deployment.github.defaultBranch, path: '/' }
+            });
+            logStep(deployment, 'GitHub Pages enabled');
+        } catch (error) {
+            // 409: Pages is already on for this repo
+            if (error.status !== 409) throw error;
+        }
+
+        const { data: site } = await octokit.rest.repos.getPages({ owner, repo });
+
+        deployment.remote = {
+            id: deployment.github.commitSha,
+            url: site.html_url,
+            state: 'queued',
+            owner,
+            repo
+        };
+
+        setStatus(deployment, 'queued', 'Waiting for GitHub Pages to build...');
+    },
+
+    async refresh(deployment, credentials) {
+        const remote = deployment.remote;
+        const octokit = createGitHubClient(credentials.githubToken);
+
+        let build;
+        try {
+            ({ data: build } = await octokit.rest.repos.getLatestPagesBuild({ owner: remote.owner, repo: remote.repo }));
+        } catch (error) {
+            // No build yet
+            if (error.status === 404) return false;
+            throw error;
+        }
+
+        // The latest build can still be the previous commit's
+        const state = build.commit === remote.id ? build.status : 'queued';
+        const status = PAGES_STATES[state] || 'building';
+        if (state === remote.state) return false;
+
+        remote.state = state;
+
+        if (status === 'ready') {
+            markReady(deployment, remote.url, build.updated_at || Date.now());
+        } else if (status === 'error') {
+            deployment.error = (build.error && build.error.message) || 'The GitHub Pages build failed';
+            setStatus(deployment, 'error', deployment.error);
+        } else {
+            setStatus(deployment, status, `GitHub Pages: ${state}`);
+        }
+
+        return true;
+    }
+};
+
+const TARGETS = {
+    vercel: vercelTarget,
+    netlify: netlifyTarget,
+    'github-pages': githubPagesTarget
+};
+
+// Function: Get a deploy target by name
+function getTarget(name = DEFAULT_TARGET) {
+    const target = TARGETS[name];
+
+    if (!target) {
+        const error = new Error(`Unknown deploy target "${name}". Use one of: ${Object.keys(TARGETS).join(', ')}`);
+        error.status = 400;
+        throw error;
+    }
+
+    return target;
+}
+
+// Function: Does the user have the credential this target needs?
+function hasCredential(target, credentials) {
+    return !!credentials[`${target.requires}Token`];
+}
+
+// Function: Every target, and whether it can be used with these credentials
+function listTargets(credentials) {
+    return Object.values(TARGETS).map(target => ({
+        name: target.name,
+        label: target.label,
+        requires: target.requires,
+        configured: hasCredential(target, credentials),
+        default: target.name === DEFAULT_TARGET
+    }));
+}
+
+// Function: Bring an unfinished job up to date with its host
+// Returns true if anything changed (so the caller knows to save it).
+async function refreshDeployment(deployment, credentials) {
+    if (isFinished(deployment) || !deployment.remote) return false;
+
+    const target = getTarget(deployment.target);
+
+    if (!hasCredential(target, credentials)) {
+        failDeployment(deployment, new Error(`${target.label} is no longer connected, so this deployment cannot be tracked`));
+        return true;
+    }
+
+    return target.refresh(deployment, credentials);
+}
+
+module.exports = {
+    DEFAULT_TARGET,
+    getTarget,
+    hasCredential,
+    listTargets,
+    refreshDeployment
+};
@@ -0,0 +1,1269 @@
+// Offline template library
+// Used when no AI provider is configured or its output could not be used. A template is picked
+// by matching keywords in the user's message, then its title, headings and accent colour are
+// filled in from the same message. Every template renders to project files (see lib/files.js):
+//   { id, name, category, description, keywords, accent, tagline, render(fields) -> { [path]: content } }
+// where fields = { title, tagline, accent } are already HTML-escaped.
+
+const DEFAULT_TEMPLATE = 'landing';
+
+// Colour words in a prompt and the accent they give
+const ACCENT_COLORS = {
+    red: '#ff4d5e', crimson: '#dc143c', orange: '#ff8a3d', amber: '#ffb020', gold: '#f5c542',
+    yellow: '#ffd84d', lime: '#a3e635', green: '#22c55e', emerald: '#10b981', mint: '#3ee6b0',
+    teal: '#14b8a6', cyan: '#22d3ee', blue: '#3b82f6', navy: '#3056d3', indigo: '#6366f1',
+    purple: '#a855f7', violet: '#8b5cf6', pink: '#ec4899', rose: '#f43f5e', brown: '#b7794a',
+    black: '#e5e5e5', white: '#f5f5f5', gray: '#9ca3af', grey: '#9ca3af', silver: '#c0c7d1'
+};
+
+// Words that say what kind of thing to build, not what it is about
+const FILLER_WORDS = [
+    'a', 'an', 'the', 'make', 'create', 'build', 'generate', 'design', 'me', 'my', 'for', 'of', 'with',
+    'website', 'site', 'web', 'page', 'webpage', 'landing', 'please', 'i', 'want', 'need', 'new', 'simple',
+    'modern', 'nice', 'beautiful', 'cool', 'and', 'to', 'in', 'on', 'that', 'is', 'it', 'some', 'theme',
+    'color', 'colour', 'dark', 'light', 'style', 'using', 'can', 'you', 'us', 'our', 'about', 'like',
+    "i'd", 'would', 'online', 'sell', 'sells', 'selling', 'called', 'named', 'where', 'which', 'shows'
+];
+
+const MAX_TITLE_LENGTH = 60;
+
+// Function: Escape text for use in HTML
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Function: Styles every template shares (reset, layout, buttons, accent)
+function baseCSS(accent) {
+    return `/* Accent colour, picked from your request */
+:root {
+    --accent: ${accent};
+    --bg: #0b0b18;
+    --surface: #15152b;
+    --text: #eceaf6;
+    --muted: #a3a1c2;
+}
+
+* {
+    margin: 0;
+    padding: 0;
+    box-sizing: border-box;
+}
+
+body {
+    background: var(--bg);
+    color: var(--text);
+    font-family: 'Segoe UI', system-ui, sans-serif;
+    line-height: 1.6;
+}
+
+a {
+    color: var(--accent);
+}
+
+img {
+    max-width: 100%;
+    display: block;
+}
+
+.container {
+    width: min(1100px, 92%);
+    margin: 0 auto;
+}
+
+/* Navigation */
+.site-header {
+    position: sticky;
+    top: 0;
+    z-index: 10;
+    background: rgba(11, 11, 24, 0.85);
+    backdrop-filter: blur(10px);
+    border-bottom: 1px solid rgba(255, 255, 255, 0.06);
+}
+
+.site-header .container {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    padding: 18px 0;
+}
+
+.logo {
+    font-weight: 700;
+    font-size: 1.3rem;
+    color: var(--text);
+    text-decoration: none;
+}
+
+.logo span {
+    color: var(--accent);
+}
+
+.nav-links {
+    display: flex;
+    gap: 24px;
+    list-style: none;
+}
+
+.nav-links a {
+    color: var(--muted);
+    text-decoration: none;
+    transition: color 0.2s;
+}
+
+.nav-links a:hover {
+    color: var(--accent);
+}
+
+.menu-toggle {
+    display: none;
+    background: none;
+    border: none;
+    color: var(--text);
+    font-size: 1.5rem;
+    cursor: pointer;
+}
+
+/* Buttons */
+.btn {
+    display: inline-block;
+    padding: 12px 28px;
+    border-radius: 999px;
+    background: var(--accent);
+    color: #0b0b18;
+    font-weight: 600;
+    text-decoration: none;
+    border: none;
+    cursor: pointer;
+    box-shadow: 0 0 24px color-mix(in srgb, var(--accent) 45%, transparent);
+    transition: transform 0.2s, box-shadow 0.2s;
+}
+
+.btn:hover {
+    transform: translateY(-2px);
+    box-shadow: 0 0 36px color-mix(in srgb, var(--accent) 65%, transparent);
+}
+
+.btn-outline {
+    background: transparent;
+    color: var(--accent);
+    border: 2px solid var(--accent);
+    box-shadow: none;
+}
+
+/* Sections */
+section {
+    padding: 80px 0;
+}
+
+.section-title {
+    font-size: 2rem;
+    margin-bottom: 12px;
+}
+
+.section-lead {
+    color: var(--muted);
+    margin-bottom: 40px;
+    max-width: 640px;
+}
+
+.grid {
+    display: grid;
+    grid-template-columns: repeat(auto-fit, minmax(240px, 1fr));
+    gap: 24px;
+}
+
+.card {
+    background: var(--surface);
+    border: 1px solid rgba(255, 255, 255, 0.06);
+    border-radius: 16px;
+    padding: 28px;
+    transition: transform 0.2s, border-color 0.2s;
+}
+
+.card:hover {
+    transform: translateY(-4px);
+    border-color: var(--accent);
+}
+
+.site-footer {
+    padding: 40px 0;
+    text-align: center;
+    color: var(--muted);
+    border-top: 1px solid rgba(255, 255, 255, 0.06);
+}
+
+/* Scroll reveal (see script.js) */
+.reveal {
+    opacity: 0;
+    transform: translateY(20px);
+    transition: opacity 0.6s, transform 0.6s;
+}
+
+.reveal.visible {
+    opacity: 1;
+    transform: none;
+}
+
+/* Mobile */
+@media (max-width: 720px) {
+    .menu-toggle {
+        display: block;
+    }
+
+    .nav-links {
+        display: none;
+        position: absolute;
+        top: 100%;
+        left: 0;
+        right: 0;
+        flex-direction: column;
+        padding: 20px 4%;
+        background: var(--surface);
+    }
+
+    .nav-links.open {
+        display: flex;
+    }
+
+    section {
+        padding: 56px 0;
+    }
+}
+`;
+}
+
+// Function: Script every template shares (mobile menu, scroll reveal)
+function baseJS() {
+    return `// Mobile menu
+const toggle = document.querySelector('.menu-toggle');
+const links = document.querySelector('.nav-links');
+if (toggle && links) {
+    toggle.addEventListener('click', () => links.classList.toggle('open'));
+}
+
+// Fade sections in as they scroll into view
+const observer = new IntersectionObserver(entries => {
+    entries.forEach(entry => {
+        if (entry.isIntersecting) {
+            entry.target.classList.add('visible');
+            observer.unobserve(entry.target);
+        }
+    });
+}, { threshold: 0.15 });
+
+document.querySelectorAll('.reveal').forEach(el => observer.observe(el));
+`;
+}
+
+// Function: A full page around a template's body
+function page({ title, pageTitle, navLinks, body }) {
+    const nav = navLinks.map(([href, label]) => `                <li><a href="${href}">${label}</a></li>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="description" content="${title}">
+    <title>${pageTitle || title}</title>
+    <link rel="stylesheet" href="style.css">
+</head>
+<body>
+    <header class="site-header">
+        <div class="container">
+            <a href="index.html" class="logo">${title}<span>.</span></a>
+            <button class="menu-toggle" aria-label="Open menu">&#9776;</button>
+            <ul class="nav-links">
+${nav}
+            </ul>
+        </div>
+    </header>
+
+${body}
+
+    <footer class="site-footer">
+        <div class="container">
+            <p>&copy; ${new Date().getFullYear()} ${title}. All rights reserved.</p>
+        </div>
+    </footer>
+
+    <script src="script.js"></script>
+</body>
+</html>
+`;
+}
+
+const TEMPLATES = [
+    {
+        id: 'landing',
+        name: 'Landing page',
+        category: 'business',
+        description: 'Hero, features, pricing and a sign-up call to action for a product or service.',
+        keywords: ['landing', 'startup', 'product', 'app', 'saas', 'service', 'business', 'company', 'agency', 'launch', 'software', 'tool', 'platform', 'consulting'],
+        accent: '#00ffaa',
+        tagline: 'The simplest way to get things done.',
+        render({ title, tagline, accent }) {
+            return {
+                'index.html': page({
+                    title,
+                    navLinks: [['#features', 'Features'], ['#pricing', 'Pricing'], ['#signup', 'Get started']],
+                    body: `    <section class="hero">
+        <div class="container">
+            <h1>${title}</h1>
+            <p class="hero-tagline">${tagline}</p>
+            <div class="hero-actions">
+                <a href="#signup" class="btn">Get started</a>
+                <a href="#features" class="btn btn-outline">Learn more</a>
+            </div>
+        </div>
+    </section>
+
+    <section id="features">
+        <div class="container">
+            <h2 class="section-title">Why ${title}?</h2>
+            <p class="section-lead">Everything you need, nothing you don't.</p>
+            <div class="grid">
+                <div class="card reveal"><h3>Fast</h3><p>Up and running in minutes, not weeks.</p></div>
+                <div class="card reveal"><h3>Simple</h3><p>A clean experience that gets out of your way.</p></div>
+                <div class="card reveal"><h3>Reliable</h3><p>Built to work every time you need it.</p></div>
+            </div>
+        </div>
+    </section>
+
+    <section id="pricing">
+        <div class="container">
+            <h2 class="section-title">Pricing</h2>
+            <p class="section-lead">Start free, upgrade when you grow.</p>
+            <div class="grid">
+                <div class="card reveal"><h3>Starter</h3><p class="price">$0</p><p>For trying things out.</p></div>
+                <div class="card reveal featured"><h3>Pro</h3><p class="price">$19<small>/mo</small></p><p>For growing teams.</p></div>
+                <div class="card reveal"><h3>Business</h3><p class="price">$49<small>/mo</small></p><p>For established companies.</p></div>
+            </div>
+        </div>
+    </section>
+
+    <section id="signup" class="cta">
+        <div class="container">
+            <h2 class="section-title">Ready to try ${title}?</h2>
+            <form class="signup-form">
+                <input type="email" placeholder="you@example.com" required aria-label="Email address">
+                <button type="submit" class="btn">Join the waitlist</button>
+            </form>
+            <p class="form-status" aria-live="polite"></p>
+        </div>
+    </section>`
+                }),
+                'style.css': baseCSS(accent) + `
+/* Landing page */
+.hero {
+    min-height: 80vh;
+    display: flex;
+    align-items: center;
+    text-align: center;
+    background: radial-gradient(circle at 50% 0%, color-mix(in srgb, var(--accent) 25%, transparent), transparent 60%);
+}
+
+.hero h1 {
+    font-size: clamp(2.5rem, 7vw, 4.5rem);
+    text-shadow: 0 0 40px color-mix(in srgb, var(--accent) 50%, transparent);
+}
+
+.hero-tagline {
+    color: var(--muted);
+    font-size: 1.25rem;
+    margin: 16px auto 32px;
+    max-width: 600px;
+}
+
+.hero-actions {
+    display: flex;
+    gap: 16px;
+    justify-content: center;
+    flex-wrap: wrap;
+}
+
+.price {
+    font-size: 2.2rem;
+    font-weight: 700;
+    color: var(--accent);
+    margin: 8px 0;
+}
+
+.featured {
+    border-color: var(--accent);
+}
+
+.cta {
+    text-align: center;
+}
+
+.signup-form {
+    display: flex;
+    gap: 12px;
+    justify-content: center;
+    flex-wrap: wrap;
+    margin-top: 24px;
+}
+
+.signup-form input {
+    padding: 12px 20px;
+    border-radius: 999px;
+    border: 1px solid rgba(255, 255, 255, 0.15);
+    background: var(--surface);
+    color: var(--text);
+    min-width: 260px;
+}
+`,
+                'script.js': baseJS() + `
+// Waitlist form (no backend yet, just confirms)
+const form = document.querySelector('.signup-form');
+form.addEventListener('submit', event => {
+    event.preventDefault();
+    document.querySelector('.form-status').textContent = 'Thanks! We will be in touch soon.';
+    form.reset();
+});
+`
+            };
+        }
+    },
+    {
+        id: 'portfolio',
+        name: 'Portfolio',
+        category: 'personal',
+        description: 'Personal portfolio with an intro, project gallery, skills and contact section.',
+        keywords: ['portfolio', 'resume', 'cv', 'personal', 'designer', 'developer', 'photographer', 'artist', 'freelance', 'freelancer', 'showcase', 'projects', 'gallery'],
+        accent: '#8b5cf6',
+        tagline: 'I design and build things people love to use.',
+        render({ title, tagline, accent }) {
+            const projects = ['Brand identity', 'Mobile app', 'Web platform', 'Photo series', 'Illustration', 'Campaign']
+                .map((name, i) => `                <article class="project reveal" data-category="${i % 2 ? 'design' : 'development'}">
+                    <div class="project-thumb"></div>
+                    <h3>${name}</h3>
+                    <p>${i % 2 ? 'Design' : 'Development'}</p>
+                </article>`).join('\n');
+
+            return {
+                'index.html': page({
+                    title,
+                    navLinks: [['#work', 'Work'], ['#skills', 'Skills'], ['#contact', 'Contact']],
+                    body: `    <section class="intro">
+        <div class="container">
+            <p class="eyebrow">Hello, welcome to</p>
+            <h1>${title}</h1>
+            <p class="intro-text">${tagline}</p>
+            <a href="#work" class="btn">See my work</a>
+        </div>
+    </section>
+
+    <section id="work">
+        <div class="container">
+            <h2 class="section-title">Selected work</h2>
+            <div class="filters">
+                <button class="filter active" data-filter="all">All</button>
+                <button class="filter" data-filter="design">Design</button>
+                <button class="filter" data-filter="development">Development</button>
+            </div>
+            <div class="grid projects">
+${projects}
+            </div>
+        </div>
+    </section>
+
+    <section id="skills">
+        <div class="container">
+            <h2 class="section-title">Skills</h2>
+            <ul class="skills">
+                <li>Strategy</li>
+                <li>UI / UX</li>
+                <li>Front-end</li>
+                <li>Branding</li>
+                <li>Photography</li>
+            </ul>
+        </div>
+    </section>
+
+    <section id="contact">
+        <div class="container">
+            <h2 class="section-title">Let's work together</h2>
+            <p class="section-lead">Have a project in mind? I'd love to hear about it.</p>
+            <a href="mailto:hello@example.com" class="btn">hello@example.com</a>
+        </div>
+    </section>`
+                }),
+                'style.css': baseCSS(accent) + `
+/* Portfolio */
+.intro {
+    min-height: 75vh;
+    display: flex;
+    align-items: center;
+}
+
+.eyebrow {
+    color: var(--accent);
+    letter-spacing: 0.2em;
+    text-transform: uppercase;
+    font-size: 0.85rem;
+}
+
+.intro h1 {
+    font-size: clamp(2.5rem, 8vw, 5rem);
+    line-height: 1.1;
+    margin: 12px 0 20px;
+}
+
+.intro-text {
+    color: var(--muted);
+    max-width: 560px;
+    margin-bottom: 32px;
+    font-size: 1.15rem;
+}
+
+.filters {
+    display: flex;
+    gap: 10px;
+    margin: 20px 0 32px;
+    flex-wrap: wrap;
+}
+
+.filter {
+    background: var(--surface);
+    color: var(--muted);
+    border: 1px solid rgba(255, 255, 255, 0.1);
+    border-radius: 999px;
+    padding: 8px 18px;
+    cursor: pointer;
+}
+
+.filter.active {
+    color: var(--accent);
+    border-color: var(--accent);
+}
+
+.project-thumb {
+    aspect-ratio: 4 / 3;
+    border-radius: 12px;
+    margin-bottom: 16px;
+    background: linear-gradient(135deg, var(--accent), var(--surface));
+}
+
+.project p {
+    color: var(--muted);
+}
+
+.project.hidden {
+    display: none;
+}
+
+.skills {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 12px;
+    list-style: none;
+    margin-top: 24px;
+}
+
+.skills li {
+    padding: 10px 20px;
+    border-radius: 999px;
+    border: 1px solid var(--accent);
+    color: var(--accent);
+}
+`,
+                'script.js': baseJS() + `
+// Project filters
+document.querySelectorAll('.filter').forEach(button => {
+    button.addEventListener('click', () => {
+        document.querySelectorAll('.filter').forEach(b => b.classList.remove('active'));
+        button.classList.add('active');
+
+        const filter = button.dataset.filter;
+        document.querySelectorAll('.project').forEach(project => {
+            project.classList.toggle('hidden', filter !== 'all' && project.dataset.category !== filter);
+        });
+    });
+});
+`
+            };
+        }
+    },
+    {
+        id: 'restaurant',
+        name: 'Restaurant',
+        category: 'food',
+        description: 'Restaurant or café site with a menu, opening hours, location and table booking.',
+        keywords: ['restaurant', 'cafe', 'café', 'coffee', 'bakery', 'food', 'menu', 'bar', 'pizza', 'pizzeria', 'bistro', 'kitchen', 'dinner', 'chef', 'sushi', 'burger', 'catering', 'tea', 'dessert', 'brunch'],
+        accent: '#ff8a3d',
+        tagline: 'Fresh food, made with love every day.',
+        render({ title, tagline, accent }) {
+            const dishes = [
+                ['Starters', [['Seasonal soup', '6'], ['Garlic bread', '5'], ['Fresh salad', '7']]],
+                ['Mains', [['Chef\'s special', '18'], ['Grilled vegetables', '14'], ['House pasta', '15']]],
+                ['Desserts', [['Chocolate cake', '7'], ['Ice cream', '5'], ['Fruit tart', '6']]]
+            ].map(([course, items], i) => `                <div class="menu-course${i === 0 ? ' active' : ''}" data-course="${course.toLowerCase()}">
+${items.map(([dish, price]) => `                    <div class="dish"><span>${dish}</span><span class="dots"></span><span class="dish-price">$${price}</span></div>`).join('\n')}
+                </div>`).join('\n');
+
+            return {
+                'index.html': page({
+                    title,
+                    navLinks: [['#menu', 'Menu'], ['#hours', 'Hours'], ['#book', 'Book a table']],
+                    body: `    <section class="hero">
+        <div class="container">
+            <h1>${title}</h1>
+            <p class="hero-tagline">${tagline}</p>
+            <a href="#book" class="btn">Book a table</a>
+        </div>
+    </section>
+
+    <section id="menu">
+        <div class="container">
+            <h2 class="section-title">Our menu</h2>
+            <div class="menu-tabs">
+                <button class="menu-tab active" data-course="starters">Starters</button>
+                <button class="menu-tab" data-course="mains">Mains</button>
+                <button class="menu-tab" data-course="desserts">Desserts</button>
+            </div>
+            <div class="menu-list">
+${dishes}
+            </div>
+        </div>
+    </section>
+
+    <section id="hours">
+        <div class="container grid">
+            <div class="card reveal">
+                <h3>Opening hours</h3>
+                <p>Mon – Fri: 11:00 – 22:00</p>
+                <p>Sat – Sun: 10:00 – 23:00</p>
+            </div>
+            <div class="card reveal">
+                <h3>Find us</h3>
+                <p>123 Main Street</p>
+                <p>Your City</p>
+            </div>
+            <div class="card reveal">
+                <h3>Contact</h3>
+                <p>(555) 123-4567</p>
+                <p>hello@example.com</p>
+            </div>
+        </div>
+    </section>
+
+    <section id="book">
+        <div class="container">
+            <h2 class="section-title">Book a table</h2>
+            <form class="booking-form">
+                <input type="text" placeholder="Your name" required aria-label="Your name">
+                <input type="date" required aria-label="Date">
+                <input type="time" required aria-label="Time">
+                <input type="number" min="1" max="12" value="2" required aria-label="Guests">
+                <button type="submit" class="btn">Reserve</button>
+            </form>
+            <p class="form-status" aria-live="polite"></p>
+        </div>
+    </section>`
+                }),
+                'style.css': baseCSS(accent) + `
+/* Restaurant */
+.hero {
+    min-height: 80vh;
+    display: flex;
+    align-items: center;
+    text-align: center;
+    background:
+        linear-gradient(rgba(11, 11, 24, 0.7), rgba(11, 11, 24, 0.95)),
+        radial-gradient(circle at 30% 40%, color-mix(in srgb, var(--accent) 35%, transparent), transparent 55%);
+}
+
+.hero h1 {
+    font-family: Georgia, 'Times New Roman', serif;
+    font-size: clamp(2.8rem, 8vw, 5rem);
+}
+
+.hero-tagline {
+    color: var(--muted);
+    font-size: 1.2rem;
+    margin: 16px 0 32px;
+}
+
+.menu-tabs {
+    display: flex;
+    gap: 12px;
+    margin: 24px 0;
+}
+
+.menu-tab {
+    background: none;
+    border: none;
+    border-bottom: 2px solid transparent;
+    color: var(--muted);
+    font-size: 1.05rem;
+    padding: 8px 4px;
+    cursor: pointer;
+}
+
+.menu-tab.active {
+    color: var(--accent);
+    border-bottom-color: var(--accent);
+}
+
+.menu-course {
+    display: none;
+    max-width: 640px;
+}
+
+.menu-course.active {
+    display: block;
+}
+
+.dish {
+    display: flex;
+    align-items: baseline;
+    gap: 12px;
+    padding: 12px 0;
+}
+
+.dots {
+    flex: 1;
+    border-bottom: 1px dotted var(--muted);
+}
+
+.dish-price {
+    color: var(--accent);
+    font-weight: 600;
+}
+
+.booking-form {
+    display: grid;
+    grid-template-columns: repeat(auto-fit, minmax(160px, 1fr));
+    gap: 12px;
+    margin-top: 24px;
+}
+
+.booking-form input {
+    padding: 12px 16px;
+    border-radius: 10px;
+    border: 1px solid rgba(255, 255, 255, 0.15);
+    background: var(--surface);
+    color: var(--text);
+}
+`,
+                'script.js': baseJS() + `
+// Menu tabs
+document.querySelectorAll('.menu-tab').forEach(tab => {
+    tab.addEventListener('click', () => {
+        document.querySelectorAll('.menu-tab').forEach(t => t.classList.toggle('active', t === tab));
+        document.querySelectorAll('.menu-course').forEach(course => {
+            course.classList.toggle('active', course.dataset.course === tab.dataset.course);
+        });
+    });
+});
+
+// Booking form (no backend yet, just confirms)
+const booking = document.querySelector('.booking-form');
+booking.addEventListener('submit', event => {
+    event.preventDefault();
+    document.querySelector('.form-status').textContent = 'Thank you! Your table request has been received.';
+    booking.reset();
+});
+`
+            };
+        }
+    },
+    {
+        id: 'blog',
+        name: 'Blog',
+        category: 'content',
+        description: 'Blog with a post list, tag filter, a sample article page and a newsletter box.',
+        keywords: ['blog', 'journal', 'news', 'magazine', 'articles', 'article', 'posts', 'writing', 'writer', 'diary', 'travel', 'stories', 'recipes', 'newsletter', 'podcast'],
+        accent: '#3b82f6',
+        tagline: 'Stories, ideas and notes worth sharing.',
+        render({ title, tagline, accent }) {
+            const posts = [
+                ['Getting started', 'A first post about what this blog is all about.', 'news'],
+                ['Lessons learned this year', 'Things that worked, things that didn\'t, and what comes next.', 'ideas'],
+                ['A practical guide', 'Step by step, with everything you need to know.', 'guides'],
+                ['Behind the scenes', 'How everything here comes together.', 'news']
+            ].map(([heading, excerpt, tag], i) => `                <article class="post card reveal" data-tag="${tag}">
+                    <span class="post-tag">${tag}</span>
+                    <h3><a href="post.html">${heading}</a></h3>
+                    <p>${excerpt}</p>
+                    <small>${i + 2} min read</small>
+                </article>`).join('\n');
+            const navLinks = [['index.html', 'Home'], ['post.html', 'Latest post'], ['index.html#newsletter', 'Newsletter']];
+
+            return {
+                'index.html': page({
+                    title,
+                    navLinks,
+                    body: `    <section class="blog-header">
+        <div class="container">
+            <h1>${title}</h1>
+            <p class="hero-tagline">${tagline}</p>
+        </div>
+    </section>
+
+    <section class="posts-section">
+        <div class="container">
+            <div class="tags">
+                <button class="tag active" data-tag="all">All</button>
+                <button class="tag" data-tag="news">News</button>
+                <button class="tag" data-tag="ideas">Ideas</button>
+                <button class="tag" data-tag="guides">Guides</button>
+            </div>
+            <div class="grid">
+${posts}
+            </div>
+        </div>
+    </section>
+
+    <section id="newsletter">
+        <div class="container card newsletter">
+            <h2>Never miss a post</h2>
+            <p>Get new posts from ${title} in your inbox.</p>
+            <form class="newsletter-form">
+                <input type="email" placeholder="you@example.com" required aria-label="Email address">
+                <button type="submit" class="btn">Subscribe</button>
+            </form>
+            <p class="form-status" aria-live="polite"></p>
+        </div>
+    </section>`
+                }),
+                'post.html': page({
+                    title,
+                    pageTitle: `Getting started - ${title}`,
+                    navLinks,
+                    body: `    <article class="container article">
+        <a href="index.html" class="back-link">&larr; All posts</a>
+        <span class="post-tag">news</span>
+        <h1>Getting started</h1>
+        <p class="article-meta">2 min read</p>
+        <p>Welcome to ${title}! This is where the first article goes. Replace this text with your own story.</p>
+        <h2>Why this blog exists</h2>
+        <p>Share what you want readers to take away, and what they can expect from future posts.</p>
+        <blockquote>A good opening line makes readers stay for the rest.</blockquote>
+        <h2>What's next</h2>
+        <p>Link to related posts, or invite readers to subscribe to the newsletter.</p>
+    </article>`
+                }),
+                'style.css': baseCSS(accent) + `
+/* Blog */
+.blog-header {
+    text-align: center;
+    padding-bottom: 20px;
+}
+
+.blog-header h1 {
+    font-family: Georgia, 'Times New Roman', serif;
+    font-size: clamp(2.5rem, 7vw, 4rem);
+}
+
+.hero-tagline {
+    color: var(--muted);
+    font-size: 1.15rem;
+    margin-top: 12px;
+}
+
+.posts-section {
+    padding-top: 20px;
+}
+
+.tags {
+    display: flex;
+    gap: 10px;
+    margin-bottom: 28px;
+    flex-wrap: wrap;
+}
+
+.tag {
+    background: var(--surface);
+    color: var(--muted);
+    border: 1px solid rgba(255, 255, 255, 0.1);
+    border-radius: 999px;
+    padding: 6px 16px;
+    cursor: pointer;
+}
+
+.tag.active {
+    color: var(--accent);
+    border-color: var(--accent);
+}
+
+.post h3 {
+    margin: 10px 0;
+}
+
+.post h3 a {
+    color: var(--text);
+    text-decoration: none;
+}
+
+.post p,
+.post small {
+    color: var(--muted);
+}
+
+.post.hidden {
+    display: none;
+}
+
+.post-tag {
+    color: var(--accent);
+    text-transform: uppercase;
+    font-size: 0.75rem;
+    letter-spacing: 0.15em;
+}
+
+.newsletter {
+    text-align: center;
+}
+
+.newsletter-form {
+    display: flex;
+    gap: 12px;
+    justify-content: center;
+    flex-wrap: wrap;
+    margin-top: 20px;
+}
+
+.newsletter-form input {
+    padding: 12px 20px;
+    border-radius: 999px;
+    border: 1px solid rgba(255, 255, 255, 0.15);
+    background: var(--bg);
+    color: var(--text);
+    min-width: 240px;
+}
+
+/* Article page */
+.article {
+    max-width: 720px;
+    padding: 60px 0;
+}
+
+.article h1 {
+    font-family: Georgia, 'Times New Roman', serif;
+    font-size: 2.6rem;
+    margin: 10px 0;
+}
+
+.article h2 {
+    margin: 32px 0 12px;
+}
+
+.article p {
+    margin-bottom: 16px;
+}
+
+.article-meta,
+.back-link {
+    color: var(--muted);
+    display: inline-block;
+    margin-bottom: 24px;
+}
+
+.article blockquote {
+    border-left: 4px solid var(--accent);
+    padding: 8px 20px;
+    margin: 24px 0;
+    color: var(--muted);
+    font-style: italic;
+}
+`,
+                'script.js': baseJS() + `
+// Tag filter (only on the post list)
+document.querySelectorAll('.tag').forEach(button => {
+    button.addEventListener('click', () => {
+        document.querySelectorAll('.tag').forEach(b => b.classList.toggle('active', b === button));
+        document.querySelectorAll('.post').forEach(post => {
+            post.classList.toggle('hidden', button.dataset.tag !== 'all' && post.dataset.tag !== button.dataset.tag);
+        });
+    });
+});
+
+// Newsletter form (no backend yet, just confirms)
+const newsletter = document.querySelector('.newsletter-form');
+if (newsletter) {
+    newsletter.addEventListener('submit', event => {
+        event.preventDefault();
+        document.querySelector('.form-status').textContent = 'Subscribed! Check your inbox to confirm.';
+        newsletter.reset();
+    });
+}
+`
+            };
+        }
+    },
+    {
+        id: 'store',
+        name: 'Online store',
+        category: 'commerce',
+        description: 'Shop front with a product grid, working cart counter and checkout call to action.',
+        keywords: ['store', 'shop', 'ecommerce', 'e-commerce', 'sell', 'selling', 'products', 'boutique', 'fashion', 'clothing', 'jewelry', 'jewellery', 'merch', 'market', 'marketplace', 'cart', 'buy', 'retail', 'handmade'],
+        accent: '#ec4899',
+        tagline: 'Quality products, delivered to your door.',
+        render({ title, tagline, accent }) {
+            const products = [
+                ['Classic item', '29'], ['Best seller', '39'], ['New arrival', '49'],
+                ['Limited edition', '59'], ['Gift set', '35'], ['Everyday essential', '19']
+            ].map(([name, price]) => `                <div class="product card reveal">
+                    <div class="product-image"></div>
+                    <h3>${name}</h3>
+                    <p class="product-price">$${price}</p>
+                    <button class="btn add-to-cart" data-name="${name}" data-price="${price}">Add to cart</button>
+                </div>`).join('\n');
+
+            return {
+                'index.html': page({
+                    title,
+                    navLinks: [['#products', 'Shop'], ['#about', 'About'], ['#cart', 'Cart (<span class="cart-count">0</span>)']],
+                    body: `    <section class="hero">
+        <div class="container">
+            <h1>${title}</h1>
+            <p class="hero-tagline">${tagline}</p>
+            <a href="#products" class="btn">Shop now</a>
+        </div>
+    </section>
+
+    <section id="products">
+        <div class="container">
+            <h2 class="section-title">Products</h2>
+            <p class="section-lead">Hand-picked favourites, shipped to your door.</p>
+            <div class="grid">
+${products}
+            </div>
+        </div>
+    </section>
+
+    <section id="about">
+        <div class="container grid">
+            <div class="card reveal"><h3>Free shipping</h3><p>On every order over $50.</p></div>
+            <div class="card reveal"><h3>Easy returns</h3><p>30 days, no questions asked.</p></div>
+            <div class="card reveal"><h3>Secure checkout</h3><p>Your details are always protected.</p></div>
+        </div>
+    </section>
+
+    <section id="cart">
+        <div class="container card cart">
+            <h2>Your cart</h2>
+            <ul class="cart-items"><li class="cart-empty">Your cart is empty.</li></ul>
+            <p class="cart-total">Total: $<span>0</span></p>
+            <button class="btn checkout">Checkout</button>
+        </div>
+    </section>`
+                }),
+                'style.css': baseCSS(accent) + `
+/* Store */
+.hero {
+    min-height: 70vh;
+    display: flex;
+    align-items: center;
+    background: radial-gradient(circle at 80% 20%, color-mix(in srgb, var(--accent) 30%, transparent), transparent 55%);
+}
+
+.hero h1 {
+    font-size: clamp(2.5rem, 7vw, 4.5rem);
+}
+
+.hero-tagline {
+    color: var(--muted);
+    font-size: 1.2rem;
+    margin: 16px 0 32px;
+    max-width: 520px;
+}
+
+.product {
+    text-align: center;
+}
+
+.product-image {
+    aspect-ratio: 1;
+    border-radius: 12px;
+    margin-bottom: 16px;
+    background: linear-gradient(160deg, color-mix(in srgb, var(--accent) 60%, var(--surface)), var(--surface));
+}
+
+.product-price {
+    color: var(--accent);
+    font-size: 1.3rem;
+    font-weight: 700;
+    margin: 6px 0 16px;
+}
+
+.cart {
+    max-width: 560px;
+}
+
+.cart-items {
+    list-style: none;
+    margin: 20px 0;
+}
+
+.cart-items li {
+    display: flex;
+    justify-content: space-between;
+    padding: 8px 0;
+    border-bottom: 1px solid rgba(255, 255, 255, 0.06);
+}
+
+.cart-empty {
+    color: var(--muted);
+}
+
+.cart-total {
+    font-size: 1.2rem;
+    font-weight: 600;
+    margin-bottom: 20px;
+}
+`,
+                'script.js': baseJS() + `
+// Cart kept in memory (connect a payment provider to sell for real)
+const cart = [];
+
+function renderCart() {
+    const list = document.querySelector('.cart-items');
+    list.innerHTML = cart.length ? '' : '<li class="cart-empty">Your cart is empty.</li>';
+
+    cart.forEach(item => {
+        const li = document.createElement('li');
+        li.innerHTML = '<span></span><span></span>';
+        li.children[0].textContent = item.name;
+        li.children[1].textContent = '$' + item.price;
+        list.appendChild(li);
+    });
+
+    document.querySelectorAll('.cart-count').forEach(el => el.textContent = cart.length);
+    document.querySelector('.cart-total span').textContent = cart.reduce((sum, item) => sum + item.price, 0);
+}
+
+document.querySelectorAll('.add-to-cart').forEach(button => {
+    button.addEventListener('click', () => {
+        cart.push({ name: button.dataset.name, price: Number(button.dataset.price) });
+        renderCart();
+        button.textContent = 'Added!';
+        setTimeout(() => button.textContent = 'Add to cart', 1000);
+    });
+});
+
+document.querySelector('.checkout').addEventListener('click', () => {
+    alert(cart.length ? 'Checkout is not connected yet.' : 'Your cart is empty.');
+});
+`
+            };
+        }
+    }
+];
+
+// Function: Find a template by id (null if unknown)
+function getTemplate(id) {
+    return TEMPLATES.find(template => template.id === id) || null;
+}
+
+// Function: Split a message into lower-case words
+function wordsOf(message) {
+    return String(message || '').toLowerCase().match(/[\p{L}\p{N}'-]+/gu) || [];
+}
+
+// Function: Pick the template whose keywords best match the message
+// Returns { template, score }; the landing page wins when nothing matches.
+function matchTemplate(message) {
+    const words = wordsOf(message);
+    let best = { template: getTemplate(DEFAULT_TEMPLATE), score: 0 };
+
+    for (const template of TEMPLATES) {
+        // The template's own name counts double ("a blog about coffee" is a blog)
+        const score = words.reduce((sum, word) => {
+            if (word === template.id) return sum + 2;
+            return sum + (template.keywords.includes(word) ? 1 : 0);
+        }, 0);
+
+        if (score > best.score) best = { template, score };
+    }
+
+    return best;
+}
+
+// Function: Accent colour named in the message (null if none)
+function detectAccent(message) {
+    const hex = /#[0-9a-f]{6}\b|#[0-9a-f]{3}\b/i.exec(message || '');
+    if (hex) return hex[0];
+
+    const color = wordsOf(message).find(word => ACCENT_COLORS[word]);
+    return color ? ACCENT_COLORS[color] : null;
+}
+
+// Function: Site title from the message
+// A quoted name or "called/named X" wins; otherwise the words left after dropping the
+// template's keywords, colours and filler ("make a red bakery website" -> "Bakery").
+function extractTitle(message, template) {
+    const text = String(message || '');
+    const quoted = /["“]([^"”]{2,60})["”]/.exec(text);
+    if (quoted) return quoted[1].trim();
+
+    const named = /\b(?:called|named|titled|for)\s+([A-Z][\w&'-]*(?:\s+[A-Z][\w&'-]*){0,4})/.exec(text);
+    if (named) return named[1].trim();
+
+    const topic = wordsOf(text).filter(word => !FILLER_WORDS.includes(word) && !ACCENT_COLORS[word]);
+    const preferred = topic.filter(word => word !== template.id && !template.keywords.includes(word));
+    const words = (preferred.length ? preferred : topic).slice(0, 4);
+    if (words.length === 0) return template.name;
+
+    const title = words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+    return title.length > MAX_TITLE_LENGTH ? title.slice(0, MAX_TITLE_LENGTH).trim() : title;
+}
+
+// Function: Build a site from a template
+// fields: { title?, tagline?, accent? }, plain text (escaped here). Returns [{ path, content }].
+function renderTemplate(template, fields = {}) {
+    const title = fields.title || template.name;
+    const rendered = template.render({
+        title: escapeHTML(title),
+        tagline: escapeHTML(fields.tagline || template.tagline),
+        accent: /^#[0-9a-f]{3,6}$/i.test(fields.accent || '') ? fields.accent : template.accent
+    });
+
+    return Object.entries(rendered).map(([path, content]) => ({ path, content }));
+}
+
+// Function: Pick and fill a template for a chat message
+// Returns { template, title, accent, files }.
+function generateFromPrompt(message) {
+    const { template } = matchTemplate(message);
+    const title = extractTitle(message, template);
+    const accent = detectAccent(message) || template.accent;
+
+    return {
+        template,
+        title,
+        accent,
+        files: renderTemplate(template, { title, accent })
+    };
+}
+
+// Function: Templates for GET /api/templates (without their render functions)
+function listTemplates() {
+    return TEMPLATES.map(({ id, name, category, description, keywords, accent }) => ({
+        id,
+        name,
+        category,
+        description,
+        keywords,
+        accent,
+        default: id === DEFAULT_TEMPLATE
+    }));
+}
+
+module.exports = {
+    getTemplate,
+    matchTemplate,
+    detectAccent,
+    extractTitle,
+    renderTemplate,
+    generateFromPrompt,
+    listTemplates
+};
@@ -0,0 +1,193 @@
+// Rate limits, daily quotas and usage accounting
+// Every AI generation, deployment and sign-in passes through here:
+//   rate limits  sliding windows per user and per IP, held in memory (they only need to survive a minute)
+//   quotas       generations and deployments per user per UTC day, counted in storage
+//   accounting   token usage reported by the provider, added to the same daily record
+// A usage record is { userId, day, generations, deployments, promptTokens, completionTokens, totalTokens }.
+// Limits come from the environment; 0 switches a limit off.
+
+const ACTIONS = {
+    chat: {
+        label: 'AI generations',
+        counter: 'generations',
+        perUser: envLimit('CHAT_RATE_LIMIT', 10),
+        perIp: envLimit('CHAT_IP_RATE_LIMIT', 30),
+        windowMs: 60 * 1000,
+        daily: envLimit('CHAT_DAILY_QUOTA', 200)
+    },
+    deploy: {
+        label: 'deployments',
+        counter: 'deployments',
+        perUser: envLimit('DEPLOY_RATE_LIMIT', 3),
+        perIp: envLimit('DEPLOY_IP_RATE_LIMIT', 10),
+        windowMs: 60 * 1000,
+        daily: envLimit('DEPLOY_DAILY_QUOTA', 20)
+    },
+    // Rate limited only: screenshots aren't counted against a quota
+    screenshot: {
+        label: 'screenshots',
+        counter: 'screenshots',
+        perUser: envLimit('SCREENSHOT_RATE_LIMIT', 5),
+        perIp: envLimit('SCREENSHOT_IP_RATE_LIMIT', 15),
+        windowMs: 60 * 1000,
+        daily: 0
+    },
+    // Registrations and sign-ins, per IP only: slows down password guessing and mass sign-ups
+    auth: {
+        label: 'sign-in attempts',
+        counter: 'signIns',
+        perUser: 0,
+        perIp: envLimit('AUTH_IP_RATE_LIMIT', 10),
+        windowMs: 60 * 1000,
+        daily: 0
+    }
+};
+
+// Function: Read a numeric limit from the environment
+function envLimit(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// Function: Today's usage day (UTC)
+function usageDay(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+// Function: Error that the API reports as 429
+// limit: { action, scope: 'user' | 'ip' | 'daily', max, retryAfter (seconds) }
+function limitError(message, limit) {
+    const error = new Error(message);
+    error.status = 429;
+    error.limit = limit;
+    return error;
+}
+
+// Function: Seconds until the next UTC day
+function secondsUntilTomorrow(now = Date.now()) {
+    const tomorrow = new Date(now);
+    tomorrow.setUTCHours(24, 0, 0, 0);
+    return Math.ceil((tomorrow.getTime() - now) / 1000);
+}
+
+// Function: Sliding-window rate limiter
+// hit(key, max, windowMs) -> seconds to wait (0 when the hit is allowed and counted)
+function createRateLimiter() {
+    const hits = new Map();
+
+    return {
+        hit(key, max, windowMs, now = Date.now()) {
+            const recent = (hits.get(key) || []).filter(at => now - at < windowMs);
+
+            if (recent.length >= max) {
+                hits.set(key, recent);
+                return Math.max(1, Math.ceil((recent[0] + windowMs - now) / 1000));
+            }
+
+            recent.push(now);
+            hits.set(key, recent);
+            return 0;
+        },
+
+        // Forget windows that have fully expired, so the map doesn't grow forever
+        prune(now = Date.now()) {
+            const longest = Math.max(...Object.values(ACTIONS).map(a => a.windowMs));
+            for (const [key, recent] of hits) {
+                if (!recent.length || now - recent[recent.length - 1] >= longest) hits.delete(key);
+            }
+        }
+    };
+}
+
+// Function: Limits and accounting on top of a storage backend
+function createUsageTracker(storage, actions = ACTIONS) {
+    const limiter = createRateLimiter();
+    setInterval(() => limiter.prune(), 10 * 60 * 1000).unref();
+
+    const settingsFor = action => {
+        const settings = actions[action];
+        if (!settings) throw new Error(`Unknown usage action "${action}"`);
+        return settings;
+    };
+
+    return {
+        // Throws a 429 error when the user or IP is over a rate limit or the user's daily quota.
+        // Passing counts against the rate limits; the quota is only spent by record().
+        async check(action, { userId, ip }) {
+            const settings = settingsFor(action);
+
+            if (settings.perIp && ip) {
+                const wait = limiter.hit(`${action}:ip:${ip}`, settings.perIp, settings.windowMs);
+                if (wait) {
+                    throw limitError(`Too many ${settings.label} from your network. Try again in ${wait}s.`,
+                        { action, scope: 'ip', max: settings.perIp, retryAfter: wait });
+                }
+            }
+
+            if (settings.perUser) {
+                const wait = limiter.hit(`${action}:user:${userId}`, settings.perUser, settings.windowMs);
+                if (wait) {
+                    throw limitError(`You're going a bit fast: at most ${settings.perUser} ${settings.label} per minute. Try again in ${wait}s.`,
+                        { action, scope: 'user', max: settings.perUser, retryAfter: wait });
+                }
+            }
+
+            if (settings.daily) {
+                const [today] = await storage.listUsage({ from: usageDay(), to: usageDay(), userId });
+                const used = (today && today[settings.counter]) || 0;
+
+                if (used >= settings.daily) {
+                    throw limitError(`You've used all ${settings.daily} ${settings.label} for today. The quota resets at midnight UTC.`,
+                        { action, scope: 'daily', max: settings.daily, used, retryAfter: secondsUntilTomorrow() });
+                }
+            }
+        },
+
+        // Spend one of the user's daily generations/deployments
+        async record(action, userId) {
+            return storage.addUsage(userId, usageDay(), { [settingsFor(action).counter]: 1 });
+        },
+
+        // Add a provider's token usage ({ prompt_tokens, completion_tokens, total_tokens })
+        async addTokens(userId, usage) {
+            if (!usage) return null;
+
+            const promptTokens = usage.prompt_tokens || 0;
+            const completionTokens = usage.completion_tokens || 0;
+
+            return storage.addUsage(userId, usageDay(), {
+                promptTokens,
+                completionTokens,
+                totalTokens: usage.total_tokens || promptTokens + completionTokens
+            });
+        },
+
+        // Usage records for a period, with totals per user and per day
+        async report({ from, to, userId } = {}) {
+            const records = await storage.listUsage({ from, to, userId });
+            const byUser = {};
+            const byDay = {};
+
+            for (const record of records) {
+                for (const [totals, key] of [[byUser, record.userId], [byDay, record.day]]) {
+                    totals[key] = totals[key] || { generations: 0, deployments: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+                    for (const counter of Object.keys(totals[key])) totals[key][counter] += record[counter] || 0;
+                }
+            }
+
+            return { records, byUser, byDay };
+        },
+
+        // The configured limits, for the report and the client
+        limits() {
+            return Object.fromEntries(Object.entries(actions).map(([action, s]) => [action, {
+                perUser: s.perUser, perIp: s.perIp, windowSeconds: s.windowMs / 1000, daily: s.daily
+            }]));
+        }
+    };
+}
+
+module.exports = {
+    usageDay,
+    createUsageTracker
+};
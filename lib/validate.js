@@ -0,0 +1,384 @@
+const vm = require('vm');
+const parse5 = require('parse5');
+const { MAIN_FILES, normalizePath, isTextPath, isHTMLPath, isPartial, filesFromCode } = require('./files');
+
+// Validation and repair of AI output
+// Models wrap JSON in markdown, stop mid-string when they hit max_tokens, or put a whole
+// <!DOCTYPE> document with inline <style>/<script> into "html". Everything here tries to
+// turn such replies into usable files and records what it had to do.
+
+// Function: Scan JSON text, tracking open brackets, string state and top-level-ish commas
+function scanJSON(text) {
+    const stack = [];
+    const commas = [];
+    let inString = false;
+    let escape = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (inString) {
+            if (escape) escape = false;
+            else if (ch === '\\') escape = true;
+            else if (ch === '"') inString = false;
+            continue;
+        }
+
+        if (ch === '"') inString = true;
+        else if (ch === '{' || ch === '[') stack.push(ch);
+        else if (ch === '}' || ch === ']') stack.pop();
+        else if (ch === ',') commas.push(i);
+    }
+
+    return { stack, commas, inString, escape };
+}
+
+// Function: Close whatever a truncated JSON document left open
+function closeJSON(text) {
+    const state = scanJSON(text);
+    let out = text;
+
+    if (state.inString) {
+        if (state.escape) out = out.slice(0, -1);
+        out = out.replace(/\\u[0-9a-fA-F]{0,3}$/, '');
+        out += '"';
+    }
+
+    out = out.replace(/\s+$/, '');
+    if (out.endsWith(',')) out = out.slice(0, -1);
+    if (out.endsWith(':')) out += 'null';
+
+    for (let i = state.stack.length - 1; i >= 0; i--) {
+        out += state.stack[i] === '{' ? '}' : ']';
+    }
+
+    return out;
+}
+
+// Function: Recover as much of a truncated JSON document as possible
+// Closes open strings and brackets; if that is still invalid, drops the last member and retries.
+function recoverTruncatedJSON(text) {
+    let candidate = text;
+
+    for (let attempt = 0; attempt < 20; attempt++) {
+        try {
+            return JSON.parse(closeJSON(candidate));
+        } catch (error) {
+            const { commas } = scanJSON(candidate);
+            if (commas.length === 0) break;
+            candidate = candidate.slice(0, commas[commas.length - 1]);
+        }
+    }
+
+    return null;
+}
+
+// Function: Remove a surrounding ``` fence (with or without a language tag)
+function stripFence(text) {
+    const match = /^\s*```[\w-]*[ \t]*\n?([\s\S]*?)(?:\n?```\s*)?$/.exec(text);
+    return match ? match[1] : text;
+}
+
+// Function: Parse the model's reply into an object
+// Returns { data, repairs } or throws if nothing JSON-like can be recovered.
+function parseModelJSON(content) {
+    const repairs = [];
+    let text = String(content || '').trim();
+
+    if (text.includes('```')) {
+        const fenced = /```[\w-]*[ \t]*\n?([\s\S]*?)(?:```|$)/.exec(text);
+        if (fenced) {
+            text = fenced[1].trim();
+            repairs.push('stripped-code-fences');
+        }
+    }
+
+    const start = text.indexOf('{');
+    if (start === -1) {
+        throw new Error('AI response contains no JSON object');
+    }
+    if (start > 0) {
+        text = text.slice(start);
+        repairs.push('stripped-surrounding-text');
+    }
+
+    try {
+        return { data: JSON.parse(text), repairs };
+    } catch (error) {
+        // Trailing prose after the closing brace
+        const end = text.lastIndexOf('}');
+        if (end !== -1 && end < text.length - 1) {
+            try {
+                const data = JSON.parse(text.slice(0, end + 1));
+                if (!repairs.includes('stripped-surrounding-text')) repairs.push('stripped-surrounding-text');
+                return { data, repairs };
+            } catch (innerError) {
+                // fall through to truncation recovery
+            }
+        }
+    }
+
+    const recovered = recoverTruncatedJSON(text);
+    if (!recovered || typeof recovered !== 'object') {
+        throw new Error('AI response is not valid JSON and could not be recovered');
+    }
+
+    repairs.push('recovered-truncated-json');
+    return { data: recovered, repairs };
+}
+
+// Function: Make a field a string, noting when it was not one
+function coerceField(value, repairs) {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'string') return value;
+
+    if (!repairs.includes('coerced-field-types')) repairs.push('coerced-field-types');
+    return Array.isArray(value) ? value.join('\n') : String(value);
+}
+
+// Function: Walk a parse5 tree depth-first
+function walk(node, visit) {
+    visit(node);
+    (node.childNodes || []).forEach(child => walk(child, visit));
+    if (node.content) walk(node.content, visit); // <template>
+}
+
+// Function: Get an attribute from a parse5 element
+function getAttr(node, name) {
+    const attr = (node.attrs || []).find(a => a.name === name);
+    return attr ? attr.value : null;
+}
+
+// Scripts with these types are not classic JavaScript and stay where they are
+const MOVABLE_SCRIPT_TYPES = ['', 'text/javascript', 'application/javascript'];
+
+// Function: Move inline <style>/<script> blocks from html into css/js
+function splitInlineAssets(code, repairs) {
+    const document = parse5.parse(code.html, { sourceCodeLocationInfo: true });
+    const ranges = [];
+    const styles = [];
+    const scripts = [];
+
+    walk(document, node => {
+        if (!node.sourceCodeLocation) return;
+
+        if (node.nodeName === 'style') {
+            styles.push(node.childNodes.map(c => c.value || '').join(''));
+            ranges.push(node.sourceCodeLocation);
+        } else if (node.nodeName === 'script' && !getAttr(node, 'src')) {
+            const type = (getAttr(node, 'type') || '').toLowerCase();
+            if (!MOVABLE_SCRIPT_TYPES.includes(type)) return;
+
+            scripts.push(node.childNodes.map(c => c.value || '').join(''));
+            ranges.push(node.sourceCodeLocation);
+        }
+    });
+
+    if (ranges.length === 0) return code;
+
+    let html = code.html;
+    ranges
+        .sort((a, b) => b.startOffset - a.startOffset)
+        .forEach(range => {
+            html = html.slice(0, range.startOffset) + html.slice(range.endOffset);
+        });
+
+    const css = [...styles.map(s => s.trim()), code.css].filter(Boolean).join('\n\n');
+    const js = [...scripts.map(s => s.trim()), code.js].filter(Boolean).join('\n\n');
+
+    if (styles.length) repairs.push('extracted-inline-style');
+    if (scripts.length) repairs.push('extracted-inline-script');
+
+    // A full document is deployed as index.html on its own, so it has to load the split files
+    if (/<!doctype|<html[\s>]/i.test(html)) {
+        if (styles.length && !/href=["']?style\.css/i.test(html)) {
+            html = /<\/head>/i.test(html)
+                ? html.replace(/<\/head>/i, '    <link rel="stylesheet" href="style.css">\n</head>')
+                : '<link rel="stylesheet" href="style.css">\n' + html;
+        }
+        if (scripts.length && !/src=["']?script\.js/i.test(html)) {
+            html = /<\/body>/i.test(html)
+                ? html.replace(/<\/body>/i, '    <script src="script.js"></script>\n</body>')
+                : html + '\n<script src="script.js"></script>';
+        }
+        repairs.push('linked-extracted-assets');
+    }
+
+    return { html: html.replace(/\n\s*\n\s*\n/g, '\n\n'), css, js };
+}
+
+// Function: Check that CSS braces balance, closing any left open
+function checkCSS(css, repairs, errors, file = MAIN_FILES.css) {
+    const stripped = css.replace(/\/\*[\s\S]*?(\*\/|$)/g, '').replace(/"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'/g, '');
+    let depth = 0;
+
+    for (const ch of stripped) {
+        if (ch === '{') depth++;
+        if (ch === '}') depth--;
+        if (depth < 0) {
+            errors.push(`${file}: unexpected "}"`);
+            return css;
+        }
+    }
+
+    if (depth > 0) {
+        repairs.push('closed-css-braces');
+        return css.replace(/\s*$/, '') + '\n' + '}'.repeat(depth) + '\n';
+    }
+
+    return css;
+}
+
+// Function: Check that JavaScript at least compiles (it is never run here)
+function checkJS(js, errors, file = MAIN_FILES.js) {
+    if (!js.trim()) return;
+
+    try {
+        new vm.Script(js, { filename: file });
+    } catch (error) {
+        errors.push(`${file}: ${error.name}: ${error.message}`);
+    }
+}
+
+// Function: Check the HTML with a real parser
+// Partials are fragments (a header, a footer) and may legitimately have nothing visible on their own.
+function checkHTML(html, errors, warnings, file = MAIN_FILES.html) {
+    const parseErrors = [];
+    const document = parse5.parse(html, {
+        onParseError: error => parseErrors.push(error)
+    });
+
+    let visible = 0;
+    walk(document, node => {
+        if (node.tagName && !['html', 'head', 'body', 'script', 'style', 'meta', 'title', 'link'].includes(node.tagName)) {
+            visible++;
+        }
+    });
+
+    if (visible === 0 && !isPartial(file) && !/<!--\s*include\s/.test(html)) {
+        errors.push(`${file}: no visible elements`);
+    }
+
+    // Fragments never have a doctype, that one is not worth reporting
+    parseErrors
+        .filter(error => error.code !== 'missing-doctype')
+        .slice(0, 10)
+        .forEach(error => warnings.push(`${file}:${error.startLine}:${error.startCol} ${error.code}`));
+}
+
+// Function: Validate and repair a parsed { html, css, js, message } object
+// Returns { code, message, repairs, errors, warnings }; errors mean the output should not be used as is.
+function validateAIOutput(data) {
+    const repairs = [];
+    const errors = [];
+    const warnings = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { code: null, message: '', repairs, errors: ['AI response is not a JSON object'], warnings };
+    }
+
+    let code = {
+        html: coerceField(data.html, repairs),
+        css: coerceField(data.css, repairs),
+        js: coerceField(data.js, repairs)
+    };
+
+    // Fences inside individual fields
+    for (const key of Object.keys(code)) {
+        if (/^\s*```/.test(code[key])) {
+            code[key] = stripFence(code[key]);
+            if (!repairs.includes('stripped-code-fences')) repairs.push('stripped-code-fences');
+        }
+    }
+
+    if (!code.html.trim()) {
+        errors.push('"html" is missing or empty');
+        return { code, message: coerceField(data.message, repairs), repairs, errors, warnings };
+    }
+
+    code = splitInlineAssets(code, repairs);
+    code.css = checkCSS(code.css, repairs, errors);
+    checkJS(code.js, errors);
+    checkHTML(code.html, errors, warnings);
+
+    return { code, message: coerceField(data.message, repairs), repairs, errors, warnings };
+}
+
+// Function: Validate and repair one text file written by the model
+function validateFile(filePath, content, repairs, errors, warnings) {
+    if (isHTMLPath(filePath)) {
+        if (!content.trim() && !isPartial(filePath)) errors.push(`${filePath} is empty`);
+        else checkHTML(content, errors, warnings, filePath);
+    } else if (filePath.endsWith('.css')) {
+        content = checkCSS(content, repairs, errors, filePath);
+    } else if (/\.m?js$/.test(filePath)) {
+        checkJS(content, errors, filePath);
+    }
+
+    return content;
+}
+
+// Function: Validate and repair a parsed multi-file reply
+// { files: [{ path, content }], delete: [path], message } -> { files, deleted, message, repairs, errors, warnings }
+// files only holds what the model wrote (the caller merges it into the project). The older
+// { html, css, js } shape is still accepted and becomes index.html, style.css and script.js.
+function validateAIFiles(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data) || !Array.isArray(data.files)) {
+        const result = validateAIOutput(data);
+        const { code, ...rest } = result;
+        return { ...rest, files: code ? filesFromCode(code) : [], deleted: [] };
+    }
+
+    const repairs = [];
+    const errors = [];
+    const warnings = [];
+    const files = [];
+
+    data.files.forEach(file => {
+        const filePath = normalizePath(file && file.path);
+
+        if (!filePath) {
+            errors.push(`invalid file path ${JSON.stringify(file && file.path)}`);
+            return;
+        }
+        if (!isTextPath(filePath)) {
+            errors.push(`${filePath}: only text files can be written, upload images and fonts instead`);
+            return;
+        }
+        if (files.some(f => f.path === filePath)) {
+            warnings.push(`${filePath} was written twice, the last copy was kept`);
+        }
+
+        let content = coerceField(file.content, repairs);
+        if (/^\s*```/.test(content)) {
+            content = stripFence(content);
+            if (!repairs.includes('stripped-code-fences')) repairs.push('stripped-code-fences');
+        }
+
+        const checked = validateFile(filePath, content, repairs, errors, warnings);
+        const index = files.findIndex(f => f.path === filePath);
+        if (index === -1) files.push({ path: filePath, content: checked });
+        else files[index] = { path: filePath, content: checked };
+    });
+
+    const deleted = (Array.isArray(data.delete) ? data.delete : [])
+        .map(normalizePath)
+        .filter(Boolean)
+        .filter(filePath => !files.some(f => f.path === filePath));
+
+    if (files.length === 0 && deleted.length === 0) {
+        errors.push('"files" is empty');
+    }
+    if (deleted.includes(MAIN_FILES.html)) {
+        errors.push('index.html cannot be deleted');
+    }
+
+    return { files, deleted, message: coerceField(data.message, repairs), repairs, errors, warnings };
+}
+
+module.exports = {
+    parseModelJSON,
+    validateAIOutput,
+    validateAIFiles,
+    recoverTruncatedJSON
+};
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Minimal WebSocket server side (RFC 6455) for the collaboration sessions
+// Just what browsers need: the upgrade handshake, text messages (fragmented or not),
+// ping/pong and the closing handshake. No extensions, binary messages are refused.
+// A connection emits 'message' (string) and 'close' (code, reason); closed is true once it has.
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Large enough for a project file sent whole (uploaded images are base64)
+const MAX_MESSAGE_BYTES = 8 * 1024 * 1024;
+
+// Connections that don't answer a ping within this are dropped
+const HEARTBEAT_MS = 30 * 1000;
+
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+// Function: Answer an upgrade request with an HTTP error and hang up
+function rejectUpgrade(socket, status, message) {
+    const body = JSON.stringify({ success: false, error: message });
+    socket.end(`HTTP/1.1 ${status} ${message.replace(/[\r\n]/g, ' ')}\r\n`
+        + 'Content-Type: application/json\r\n'
+        + `Content-Length: ${Buffer.byteLength(body)}\r\n`
+        + 'Connection: close\r\n\r\n'
+        + body);
+}
+
+// Function: Encode one unmasked frame (servers never mask)
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+
+    if (length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = length;
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+}
+
+// Function: Complete the handshake for an upgrade request
+// Returns the connection, or null after answering 400 when it isn't a valid WebSocket request.
+function acceptWebSocket(req, socket, head) {
+    const key = req.headers['sec-websocket-key'];
+
+    if (req.method !== 'GET' || String(req.headers.upgrade).toLowerCase() !== 'websocket'
+        || !key || req.headers['sec-websocket-version'] !== '13') {
+        rejectUpgrade(socket, 400, 'Bad Request');
+        return null;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write('HTTP/1.1 101 Switching Protocols\r\n'
+        + 'Upgrade: websocket\r\n'
+        + 'Connection: Upgrade\r\n'
+        + `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+    socket.setNoDelay(true);
+
+    const connection = new EventEmitter();
+    connection.closed = false;
+    let buffer = head && head.length ? Buffer.from(head) : Buffer.alloc(0);
+    let fragments = [];
+    let fragmentBytes = 0;
+    let alive = true;
+
+    const send = (opcode, payload) => {
+        if (!connection.closed && socket.writable) socket.write(encodeFrame(opcode, payload));
+    };
+
+    const finish = (code, reason) => {
+        if (connection.closed) return;
+        connection.closed = true;
+        clearInterval(heartbeat);
+        socket.end();
+        connection.emit('close', code, reason);
+    };
+
+    connection.send = text => send(OPCODES.text, Buffer.from(text, 'utf8'));
+
+    connection.close = (code = 1000, reason = '') => {
+        if (connection.closed) return;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        send(OPCODES.close, payload);
+        finish(code, reason);
+    };
+
+    // Read every complete frame in the buffer
+    const readFrames = () => {
+        while (buffer.length >= 2) {
+            const fin = (buffer[0] & 0x80) !== 0;
+            const opcode = buffer[0] & 0x0f;
+            const masked = (buffer[1] & 0x80) !== 0;
+            let length = buffer[1] & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (buffer.length < 4) return;
+                length = buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (buffer.length < 10) return;
+                const big = buffer.readBigUInt64BE(2);
+                if (big > BigInt(MAX_MESSAGE_BYTES)) return connection.close(1009, 'Message too big');
+                length = Number(big);
+                offset = 10;
+            }
+
+            if (!masked) return connection.close(1002, 'Client frames must be masked');
+            if (length > MAX_MESSAGE_BYTES) return connection.close(1009, 'Message too big');
+            if (buffer.length < offset + 4 + length) return;
+
+            const mask = buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+            buffer = buffer.subarray(offset + 4 + length);
+
+            if (opcode === OPCODES.close) {
+                const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+                send(OPCODES.close, payload.subarray(0, 2));
+                return finish(code, payload.subarray(2).toString('utf8'));
+            }
+            if (opcode === OPCODES.ping) {
+                send(OPCODES.pong, payload);
+                continue;
+            }
+            if (opcode === OPCODES.pong) {
+                alive = true;
+                continue;
+            }
+            if (opcode === OPCODES.binary) return connection.close(1003, 'Only text messages are accepted');
+            if (opcode !== OPCODES.text && opcode !== OPCODES.continuation) return connection.close(1002, 'Unknown opcode');
+            if ((opcode === OPCODES.continuation) !== (fragments.length > 0)) return connection.close(1002, 'Unexpected fragment');
+
+            fragmentBytes += payload.length;
+            if (fragmentBytes > MAX_MESSAGE_BYTES) return connection.close(1009, 'Message too big');
+            fragments.push(payload);
+
+            if (fin) {
+                const message = Buffer.concat(fragments).toString('utf8');
+                fragments = [];
+                fragmentBytes = 0;
+                connection.emit('message', message);
+            }
+        }
+    };
+
+    socket.on('data', chunk => {
+        buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+        readFrames();
+    });
+    socket.on('close', () => finish(1006, ''));
+    socket.on('error', () => finish(1006, ''));
+
+    const heartbeat = setInterval(() => {
+        if (!alive) return finish(1006, 'No answer to ping');
+        alive = false;
+        send(OPCODES.ping, Buffer.alloc(0));
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+
+    // Frames that arrived together with the handshake
+    if (buffer.length) setImmediate(readFrames);
+
+    return connection;
+}
+
+module.exports = {
+    rejectUpgrade,
+    acceptWebSocket
+};
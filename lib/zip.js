@@ -0,0 +1,157 @@
+const zlib = require('zlib');
+
+// Minimal ZIP writer for site exports, and reader for site imports
+// Just enough of the format (local headers, central directory, end record) for every
+// unzip tool to open it; entries are deflated. Files are [{ path, content }].
+// The reader handles what zip tools and "Download ZIP" buttons produce: stored and deflated
+// entries, no encryption, no ZIP64 (imports are far below 4 GB anyway).
+
+// Function: DOS date/time fields for a Date
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// Function: Build a ZIP archive in memory
+function createZip(files, modified = new Date()) {
+    const { time, date } = dosDateTime(modified);
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = Buffer.from(file.path, 'utf8');
+        const data = Buffer.isBuffer(file.content) ? file.content : Buffer.from(String(file.content), 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = zlib.crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);            // version needed
+        local.writeUInt16LE(0x0800, 6);        // UTF-8 names
+        local.writeUInt16LE(8, 8);             // deflate
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);          // version made by
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, name, compressed);
+        centrals.push(central, name);
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, directory, end]);
+}
+
+// Function: Error for an archive the reader can't open
+function invalidZip(message) {
+    const error = new Error(`Not a readable ZIP archive: ${message}`);
+    error.status = 400;
+    return error;
+}
+
+// Function: Find the end of central directory record (it is followed by a comment of up to 64 KB)
+function findEndRecord(buffer) {
+    const stop = Math.max(0, buffer.length - 22 - 0xffff);
+
+    for (let offset = buffer.length - 22; offset >= stop; offset--) {
+        if (buffer.readUInt32LE(offset) === 0x06054b50) return offset;
+    }
+    return -1;
+}
+
+// Function: List the files in a ZIP archive
+// Returns [{ path, size, read() }] without directories; read() inflates the entry, so callers
+// can skip entries by name or size without unpacking them. Throws (status 400) on a bad archive.
+function readZip(buffer) {
+    const end = buffer.length >= 22 ? findEndRecord(buffer) : -1;
+    if (end < 0) throw invalidZip('no central directory');
+
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    if (count === 0xffff || offset === 0xffffffff) throw invalidZip('ZIP64 archives are not supported');
+
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) throw invalidZip('damaged central directory');
+
+        const flags = buffer.readUInt16LE(offset + 8);
+        const method = buffer.readUInt16LE(offset + 10);
+        const crc = buffer.readUInt32LE(offset + 16);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        // Bit 11: UTF-8 names; older tools write names in the DOS code page, latin1 is close enough
+        const name = buffer.toString(flags & 0x0800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+
+        offset += 46 + nameLength + extraLength + commentLength;
+        if (name.endsWith('/')) continue;
+
+        entries.push({
+            path: name,
+            size,
+            read() {
+                if (flags & 0x0001) throw invalidZip(`${name} is encrypted`);
+                if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== 0x04034b50) throw invalidZip(`damaged entry ${name}`);
+
+                const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+                const compressed = buffer.subarray(start, start + compressedSize);
+                let data;
+
+                if (method === 0) {
+                    data = compressed;
+                } else if (method === 8) {
+                    try {
+                        // maxOutputLength: a forged size can't make this inflate more than it says
+                        data = zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(size, 1) });
+                    } catch (error) {
+                        throw invalidZip(`damaged entry ${name}`);
+                    }
+                } else {
+                    throw invalidZip(`${name} uses an unsupported compression method (${method})`);
+                }
+
+                if (data.length !== size || zlib.crc32(data) !== crc) throw invalidZip(`damaged entry ${name}`);
+                return data;
+            }
+        });
+    }
+
+    return entries;
+}
+
+module.exports = {
+    createZip,
+    readZip
+};
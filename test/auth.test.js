@@ -0,0 +1,54 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+// Registration and sign-in, and the per-IP limit on both
+// TRUST_PROXY is off, so X-Forwarded-For can't change the address a request is counted against.
+
+let app;
+
+before(async () => {
+    app = await startApp({ AUTH_IP_RATE_LIMIT: '4' });
+});
+
+after(async () => {
+    await app.close();
+});
+
+// Function: POST to an auth route, with extra headers
+async function post(path, body, headers = {}) {
+    const response = await fetch(app.url + path, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+test('an account can sign in again with its password, not with another', async () => {
+    const user = await app.signUp('auth@example.com');
+    assert.equal(user.user.email, 'auth@example.com');
+
+    const wrong = await post('/api/auth/login', { email: 'auth@example.com', password: 'wrong password' });
+    assert.equal(wrong.status, 401);
+
+    const right = await post('/api/auth/login', { email: 'auth@example.com', password: 'correct horse battery' });
+    assert.equal(right.status, 200, right.body.error);
+    assert.equal(right.body.user.email, 'auth@example.com');
+});
+
+test('too many attempts from one address answer 429, whatever X-Forwarded-For says', async () => {
+    let res;
+    for (let attempt = 0; attempt < 3; attempt++) {
+        res = await post('/api/auth/login', { email: 'auth@example.com', password: `guess ${attempt}` },
+            { 'X-Forwarded-For': `203.0.113.${attempt}` });
+    }
+
+    assert.equal(res.status, 429);
+    assert.equal(res.body.limit.action, 'auth');
+    assert.equal(res.body.limit.scope, 'ip');
+    assert.ok(Number(res.headers.get('retry-after')) > 0);
+
+    const register = await post('/api/auth/register', { email: 'another@example.com', password: 'correct horse battery' });
+    assert.equal(register.status, 429);
+});
@@ -0,0 +1,165 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStandIn, startApp, siteFiles } = require('./helpers');
+
+// POST /api/chat against a stand-in DeepSeek API
+
+let deepseek, app, client;
+
+// Replies the stand-in gives, in order; a valid site once they run out
+const replies = [];
+
+// Function: A chat-completions answer carrying content
+function completion(content) {
+    return {
+        body: {
+            choices: [{ message: { role: 'assistant', content } }],
+            usage: { prompt_tokens: 120, completion_tokens: 80, total_tokens: 200 }
+        }
+    };
+}
+
+// Function: Model output with a full site
+function siteReply(title = 'Bakery') {
+    return completion(JSON.stringify({ files: siteFiles(title), message: `Here is your ${title} site` }));
+}
+
+before(async () => {
+    deepseek = await startStandIn(request => {
+        if (request.method !== 'POST' || request.path !== '/v1/chat/completions') return;
+        return replies.length ? replies.shift() : siteReply();
+    });
+    app = await startApp({
+        DEEPSEEK_BASE_URL: `${deepseek.url}/v1`,
+        DEEPSEEK_API_KEY: 'test-deepseek-key',
+        CHAT_RATE_LIMIT: '100',
+        CHAT_IP_RATE_LIMIT: '100'
+    });
+    client = await app.signUp('chat@example.com');
+});
+
+after(async () => {
+    await app.close();
+    await deepseek.close();
+});
+
+test('chat needs a signed-in user', async () => {
+    const res = await app.anonymous().post('/api/chat', { message: 'Make a bakery website' });
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.success, false);
+});
+
+test('chat refuses a message that is too short', async () => {
+    const before = deepseek.requests.length;
+    const res = await client.post('/api/chat', { message: 'hi' });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.success, false);
+    assert.equal(deepseek.requests.length, before, 'DeepSeek was not called');
+});
+
+test('chat only runs the models the server allows', async () => {
+    const before = deepseek.requests.length;
+    const refused = await client.post('/api/chat', { message: 'Make a bakery website', model: 'deepseek-reasoner' });
+
+    assert.equal(refused.status, 400);
+    assert.match(refused.body.response, /deepseek-reasoner/);
+    assert.equal(deepseek.requests.length, before, 'DeepSeek was not called');
+
+    const allowed = await client.post('/api/chat', { message: 'Make a bakery website', model: 'deepseek-coder' });
+    assert.equal(allowed.body.success, true);
+    assert.equal(deepseek.requests[deepseek.requests.length - 1].body.model, 'deepseek-coder');
+});
+
+test('chat returns the files DeepSeek wrote', async () => {
+    replies.push(siteReply('Bakery'));
+    const res = await client.post('/api/chat', { message: 'Make a bakery website' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.response, 'Here is your Bakery site');
+    assert.deepEqual(res.body.files.map(file => file.path).sort(), ['index.html', 'script.js', 'style.css']);
+    assert.match(res.body.code.html, /Bakery/);
+    assert.ok(res.body.conversationId);
+    assert.ok(res.headers.get('x-request-id'), 'the response carries its request id');
+
+    const request = deepseek.requests[deepseek.requests.length - 1];
+    assert.equal(request.headers.authorization, 'Bearer test-deepseek-key');
+    assert.deepEqual(request.body.response_format, { type: 'json_object' });
+    assert.equal(request.body.messages[request.body.messages.length - 1].role, 'user');
+    assert.match(JSON.stringify(request.body.messages), /Make a bakery website/);
+});
+
+test('later messages carry the conversation so far', async () => {
+    const first = await client.post('/api/chat', { message: 'Make a bakery website' });
+    await client.post('/api/chat', { message: 'Add an opening hours section', conversationId: first.body.conversationId });
+
+    const { messages } = deepseek.requests[deepseek.requests.length - 1].body;
+    const userTurns = messages.filter(message => message.role === 'user').map(message => JSON.stringify(message.content));
+
+    assert.ok(userTurns.some(text => text.includes('Make a bakery website')));
+    assert.ok(userTurns.some(text => text.includes('Add an opening hours section')));
+    assert.ok(messages.some(message => message.role === 'assistant'));
+});
+
+test('a project\'s thread is stored and found again by the project id', async () => {
+    const first = await client.post('/api/chat', { message: 'Make a bakery website', projectId: 'project_thread' });
+    const second = await client.post('/api/chat', { message: 'Add a contact form', projectId: 'project_thread' });
+
+    assert.equal(second.body.conversationId, first.body.conversationId);
+
+    const thread = await client.get(`/api/conversations/${first.body.conversationId}`);
+    assert.equal(thread.status, 200);
+    assert.deepEqual(thread.body.conversation.messages.filter(m => m.role === 'user').map(m => m.content),
+        ['Make a bakery website', 'Add a contact form']);
+
+    const other = await app.signUp('other-chat@example.com');
+    assert.equal((await other.get(`/api/conversations/${first.body.conversationId}`)).status, 404);
+});
+
+test('chat asks the model again when its output is unusable', async () => {
+    replies.push(completion('this is not JSON at all'), siteReply('Florist'));
+    const before = deepseek.requests.length;
+
+    const res = await client.post('/api/chat', { message: 'Make a florist website' });
+
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.response, 'Here is your Florist site');
+    assert.ok(res.body.repairs.includes('reprompted'));
+    assert.equal(deepseek.requests.length - before, 2);
+});
+
+test('chat falls back to a template when DeepSeek fails', async () => {
+    // One retry (see lib/providers.js), both fail
+    replies.push({ status: 500, body: { error: 'overloaded' } }, { status: 500, body: { error: 'overloaded' } });
+    const fallbacks = await app.metric('happy_ai_fallbacks_total', { reason: 'provider_error' });
+    const failures = await app.metric('happy_external_requests_total', { service: 'deepseek', status: '500' });
+
+    const res = await client.post('/api/chat', { message: 'Make a portfolio website for a photographer' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.success, true);
+    assert.ok(res.body.files.some(file => file.path === 'index.html'));
+    assert.match(res.body.response, /template/);
+
+    assert.equal(await app.metric('happy_ai_fallbacks_total', { reason: 'provider_error' }), fallbacks + 1);
+    assert.equal(await app.metric('happy_external_requests_total', { service: 'deepseek', status: '500' }), failures + 2);
+    assert.ok(await app.metric('happy_ai_generation_seconds_count', { provider: 'deepseek', outcome: 'fallback' }) >= 1);
+});
+
+test('chat generation latency is in the metrics', async () => {
+    const count = await app.metric('happy_ai_generation_seconds_count', { provider: 'deepseek', mode: 'full', outcome: 'success' });
+    await client.post('/api/chat', { message: 'Make a bakery website' });
+
+    assert.equal(await app.metric('happy_ai_generation_seconds_count', { provider: 'deepseek', mode: 'full', outcome: 'success' }), count + 1);
+    assert.ok(await app.metric('happy_external_requests_total', { service: 'deepseek', status: '200' }) >= 1);
+});
+
+test('metrics need the token', async () => {
+    const anonymous = await fetch(`${app.url}/metrics`);
+    assert.equal(anonymous.status, 401);
+
+    const wrong = await fetch(`${app.url}/metrics`, { headers: { Authorization: 'Bearer not-the-token' } });
+    assert.equal(wrong.status, 401);
+});
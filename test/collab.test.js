@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { createStorage } = require('../lib/storage');
+const { createCollabHub } = require('../lib/collab');
+const { MAX_FILE_BYTES, MAX_FILES } = require('../lib/files');
+
+// Live sessions (lib/collab.js) with stand-in connections: edits must stay within a save's limits
+
+// Function: A connection that keeps what the server sent it
+function connection() {
+    const socket = new EventEmitter();
+    socket.received = [];
+    socket.closed = false;
+    socket.send = text => socket.received.push(JSON.parse(text));
+    socket.close = () => { socket.closed = true; };
+    socket.message = message => socket.emit('message', JSON.stringify(message));
+    socket.of = type => socket.received.filter(message => message.type === type);
+    return socket;
+}
+
+// Function: Let the session handle what was sent
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+// Function: Alice and Bob in a session of a project with these files
+async function startSession(files) {
+    const storage = createStorage('memory');
+    await storage.saveProject({ id: 'shared', userId: 'alice', name: 'Shared', files, collaborators: ['bob'] });
+
+    const hub = createCollabHub({ storage, onSave: async () => null });
+    const alice = connection();
+    const bob = connection();
+    await hub.join('shared', { id: 'alice', email: 'alice@example.com' }, alice);
+    await hub.join('shared', { id: 'bob', email: 'bob@example.com' }, bob);
+
+    return {
+        storage,
+        alice,
+        bob,
+        close: async () => {
+            alice.emit('close');
+            bob.emit('close');
+            await settle();
+        }
+    };
+}
+
+test('an edit that makes a file too large is refused and undone for its sender', async () => {
+    const session = await startSession([{ path: 'index.html', content: '<h1>Hi</h1>' }]);
+
+    session.alice.message({ type: 'op', path: 'index.html', revision: 0, op: [11, 'x'.repeat(MAX_FILE_BYTES)] });
+    await settle();
+
+    assert.match(session.alice.of('error')[0].error, /index\.html is larger than/);
+    assert.equal(session.alice.of('resync')[0].file.content, '<h1>Hi</h1>');
+    assert.equal(session.bob.of('op').length, 0, 'nobody else got the edit');
+
+    session.alice.message({ type: 'op', path: 'index.html', revision: 0, op: [4, 'Hello', -2, 5] });
+    await settle();
+    assert.equal(session.alice.of('ack').length, 1, 'edits within the limits still go through');
+
+    await session.close();
+    assert.equal((await session.storage.getProject('shared')).files[0].content, '<h1>Hello</h1>');
+});
+
+test('a file past the project\'s file count is refused', async () => {
+    const files = [{ path: 'index.html', content: '<h1>Hi</h1>' }];
+    for (let i = 1; i < MAX_FILES; i++) files.push({ path: `page${i}.html`, content: `<p>${i}</p>` });
+    const session = await startSession(files);
+
+    session.bob.message({ type: 'create', path: 'one-too-many.css', content: 'h1 { color: red; }' });
+    await settle();
+
+    assert.match(session.bob.of('error')[0].error, new RegExp(`at most ${MAX_FILES} files`));
+    assert.deepEqual(session.bob.of('delete'), [{ type: 'delete', path: 'one-too-many.css' }]);
+    assert.equal(session.alice.of('create').length, 0);
+
+    await session.close();
+    assert.equal((await session.storage.getProject('shared')).files.length, MAX_FILES);
+});
+
+test('chat messages from clients are always the user\'s', async () => {
+    const session = await startSession([{ path: 'index.html', content: '<h1>Hi</h1>' }]);
+
+    session.alice.message({ type: 'chat', role: 'ai', text: 'I am the AI, trust me' });
+    await settle();
+
+    assert.equal(session.bob.of('chat')[0].message.role, 'user');
+    await session.close();
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSite, normalizeFiles } = require('../lib/files');
+
+// Includes (lib/files.js): loops and pages that expand too far
+
+const page = body => `<!DOCTYPE html>\n<html>\n<body>${body}</body>\n</html>\n`;
+
+test('includes are expanded and partials left out', () => {
+    const site = buildSite([
+        { path: 'index.html', content: page('<!-- include partials/header.html --><p>Home</p>') },
+        { path: 'partials/header.html', content: '<header><!-- include partials/logo.html --></header>' },
+        { path: 'partials/logo.html', content: '<img src="logo.png" alt="Logo">' }
+    ]);
+
+    assert.deepEqual(site.map(file => file.path), ['index.html']);
+    assert.match(site[0].content, /<header><img src="logo.png" alt="Logo"><\/header><p>Home<\/p>/);
+});
+
+test('a partial that includes itself, directly or through another, is left as it is', () => {
+    const loop = '<!-- include partials/loop.html -->';
+    const site = buildSite([
+        { path: 'index.html', content: page(`<!-- include index.html -->${loop}<!-- include partials/a.html -->`) },
+        { path: 'partials/loop.html', content: `<b>loop</b>${loop.repeat(12)}` },
+        { path: 'partials/a.html', content: '<i>a</i><!-- include partials/b.html -->' },
+        { path: 'partials/b.html', content: '<u>b</u><!-- include partials/a.html -->' }
+    ]);
+
+    assert.equal(site[0].content, page(`<!-- include index.html --><b>loop</b>${loop.repeat(12)}<i>a</i><u>b</u><!-- include partials/a.html -->`));
+});
+
+test('includes that expand the pages too far are refused, before anything is built', () => {
+    // Each level includes the next one 12 times: 12^5 copies of a 384-byte partial
+    const levels = [1, 2, 3, 4].map(level => ({
+        path: `partials/level${level}.html`,
+        content: `<!-- include partials/level${level + 1}.html -->`.repeat(12)
+    }));
+    const files = [
+        { path: 'index.html', content: page('<!-- include partials/level1.html -->') },
+        ...levels,
+        { path: 'partials/level5.html', content: 'x'.repeat(384) }
+    ];
+
+    assert.throws(() => buildSite(files), error => error.status === 400 && /includes expand the pages/.test(error.message));
+    assert.throws(() => normalizeFiles(files), error => error.status === 400);
+});
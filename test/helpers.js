@@ -0,0 +1,172 @@
+const http = require('http');
+
+// Test helpers
+// The app runs in-process against local stand-in servers for the outside APIs (DeepSeek,
+// GitHub, Vercel), reached through the base URLs lib/http.js and lib/providers.js read from
+// the environment. server.js reads its configuration when it is required, so every test file
+// starts its stand-ins first, then the app (node --test runs each file in its own process).
+
+// Configuration every test starts from: memory storage, quiet logs, no real tokens or Chromium
+const BASE_ENV = {
+    STORAGE_DRIVER: 'memory',
+    SESSION_SECRET: 'test-session-secret',
+    CREDENTIALS_KEY: 'test-credentials-key',
+    LOG_LEVEL: 'silent',
+    AI_PROVIDER: 'deepseek',
+    DEEPSEEK_API_KEY: '',
+    GITHUB_TOKEN: '',
+    VERCEL_TOKEN: '',
+    VERCEL_PROJECT_ID: '',
+    NETLIFY_TOKEN: '',
+    DEPLOY_AUDIT_MIN_SCORE: '',
+    ADMIN_EMAILS: '',
+    METRICS_TOKEN: 'test-metrics-token',
+    TRUST_PROXY: '',
+    CHROMIUM_PATH: '/nonexistent/chromium'
+};
+
+// Function: Read a request body as JSON (null when empty, the raw text when it isn't JSON)
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('error', reject);
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            if (!text) return resolve(null);
+            try {
+                resolve(JSON.parse(text));
+            } catch (error) {
+                resolve(text);
+            }
+        });
+    });
+}
+
+// Function: Start a stand-in for an outside API
+// handle({ method, path, query, headers, body }) returns { status, body, headers } (status 200
+// by default) or undefined for a 404; a string or Buffer body is sent as it is, anything else
+// as JSON. Every request is kept in requests, newest last.
+async function startStandIn(handle) {
+    const requests = [];
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const request = {
+            method: req.method,
+            path: decodeURIComponent(url.pathname),
+            query: Object.fromEntries(url.searchParams),
+            headers: req.headers,
+            body: await readBody(req)
+        };
+        requests.push(request);
+
+        let reply;
+        try {
+            reply = await handle(request);
+        } catch (error) {
+            reply = { status: 500, body: { message: error.message } };
+        }
+        reply = reply || { status: 404, body: { message: `No stand-in for ${req.method} ${url.pathname}` } };
+
+        const body = typeof reply.body === 'string' || Buffer.isBuffer(reply.body) ? reply.body : JSON.stringify(reply.body ?? {});
+        res.writeHead(reply.status || 200, { 'Content-Type': 'application/json', ...reply.headers });
+        res.end(body);
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+// Function: Start the app with BASE_ENV plus env, on a free port
+async function startApp(env = {}) {
+    Object.assign(process.env, BASE_ENV, env);
+
+    const app = require('../server');
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        url,
+        close: () => {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        },
+
+        // Function: A client without a session
+        anonymous() {
+            return createClient(url, null);
+        },
+
+        // Function: Register an account and return a client signed in as it
+        async signUp(email) {
+            const response = await fetch(`${url}/api/auth/register`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ email, password: 'correct horse battery' })
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(`Could not register ${email}: ${data.error}`);
+
+            const cookie = response.headers.get('set-cookie').split(';')[0];
+            return { ...createClient(url, cookie), user: data.user };
+        },
+
+        // Function: The value of a series in GET /metrics (0 when it isn't there yet)
+        async metric(name, labels = {}) {
+            const text = await (await fetch(`${url}/metrics`, { headers: { Authorization: `Bearer ${process.env.METRICS_TOKEN}` } })).text();
+            const wanted = Object.entries(labels).map(([key, value]) => `${key}="${value}"`);
+
+            const line = text.split('\n').find(candidate => {
+                if (!candidate.startsWith(name + '{') && !candidate.startsWith(name + ' ')) return false;
+                return wanted.every(pair => candidate.includes(pair));
+            });
+            return line ? Number(line.split(' ').pop()) : 0;
+        }
+    };
+}
+
+// Function: JSON client for the app, with the session cookie if there is one
+function createClient(url, cookie) {
+    const request = async (method, path, body) => {
+        const headers = {};
+        if (cookie) headers.Cookie = cookie;
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+        const response = await fetch(url + path, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+
+        return { status: response.status, headers: response.headers, body: await response.json() };
+    };
+
+    return {
+        get: path => request('GET', path),
+        post: (path, body) => request('POST', path, body),
+        put: (path, body) => request('PUT', path, body),
+        delete: path => request('DELETE', path)
+    };
+}
+
+// Function: A small project file tree
+function siteFiles(title = 'Test site') {
+    return [
+        { path: 'index.html', content: `<!DOCTYPE html>\n<html lang="en">\n<head><title>${title}</title></head>\n<body><h1>${title}</h1></body>\n</html>\n` },
+        { path: 'style.css', content: 'h1 { color: teal; }\n' },
+        { path: 'script.js', content: 'console.log("hello");\n' }
+    ];
+}
+
+module.exports = {
+    startStandIn,
+    startApp,
+    siteFiles
+};
@@ -0,0 +1,202 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createZip } = require('../lib/zip');
+const { startStandIn, startApp } = require('./helpers');
+
+// POST /api/import from a ZIP, pasted HTML and a stand-in GitHub
+
+let github, app, client;
+
+const OLD_PAGE = `<!DOCTYPE html>
+<html>
+<head>
+    <title>Corner Bakery</title>
+    <style>
+        body { background: url("images/crust texture.png"); }
+    </style>
+    <link rel="stylesheet" href="/css/site.css">
+</head>
+<body>
+    <img src="images/crust%20texture.png" alt="Crust">
+    <img src="images/logo.bmp" alt="Logo">
+    <a href="Our Menu.htm">Menu</a>
+    <script>
+        document.title = 'Welcome';
+    </script>
+</body>
+</html>
+`;
+
+// Function: An archive the way a site download looks: a wrapper folder, junk and spaces in names
+function bakeryZip() {
+    return createZip([
+        { path: 'bakery-site/index.htm', content: OLD_PAGE },
+        { path: 'bakery-site/Our Menu.htm', content: '<html><body><a href="index.htm">Home</a></body></html>' },
+        { path: 'bakery-site/css/site.css', content: 'h1 { background: url(../images/crust%20texture.png); }\n' },
+        { path: 'bakery-site/images/crust texture.png', content: Buffer.from([0x89, 0x50, 0x4e, 0x47]) },
+        { path: 'bakery-site/images/logo.bmp', content: Buffer.from([0x42, 0x4d]) },
+        { path: 'bakery-site/contact.php', content: '<?php mail(); ?>' },
+        { path: '__MACOSX/bakery-site/._index.htm', content: 'resource fork' },
+        { path: 'bakery-site/.DS_Store', content: 'finder' }
+    ]);
+}
+
+// Function: A file of an import result
+const fileOf = (project, path) => project.files.find(file => file.path === path);
+
+before(async () => {
+    github = await startStandIn(request => {
+        if (request.method === 'GET' && request.path === '/repos/tester/bakery') {
+            return { body: { name: 'bakery', default_branch: 'main', size: 12 } };
+        }
+        if (request.method === 'GET' && request.path === '/repos/tester/bakery/zipball/main') {
+            return {
+                headers: { 'Content-Type': 'application/zip' },
+                body: createZip([
+                    { path: 'tester-bakery-1a2b3c/README.md', content: '# Bakery\n' },
+                    { path: 'tester-bakery-1a2b3c/docs/index.html', content: '<!DOCTYPE html><html><head><title>Docs bakery</title></head><body><h1>Docs</h1></body></html>' },
+                    { path: 'tester-bakery-1a2b3c/site/index.html', content: '<!DOCTYPE html><html><head><title>Repo bakery</title></head><body><h1>Bakery</h1></body></html>' }
+                ])
+            };
+        }
+        if (request.method === 'GET' && request.path.startsWith('/repos/')) {
+            return { status: 404, body: { message: 'Not Found' } };
+        }
+    });
+
+    app = await startApp({ GITHUB_API_URL: github.url, GITHUB_TOKEN: 'server-github-token' });
+    client = await app.signUp('import@example.com');
+});
+
+after(async () => {
+    await app.close();
+    await github.close();
+});
+
+test('a ZIP becomes a project with its inline code split out and references fixed', async () => {
+    const res = await client.post('/api/import', { zip: bakeryZip().toString('base64') });
+
+    assert.equal(res.status, 200, res.body.error);
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.project.name, 'Corner Bakery');
+    assert.equal(res.body.report.root, 'bakery-site/');
+    assert.deepEqual(res.body.project.files.map(file => file.path), [
+        'css/site.css', 'images/crust-texture.png', 'index.html', 'Our-Menu.htm', 'script.js', 'style.css'
+    ]);
+
+    const page = fileOf(res.body.project, 'index.html').content;
+    assert.match(page, /<link rel="stylesheet" href="style\.css">/);
+    assert.match(page, /<link rel="stylesheet" href="css\/site\.css">/);
+    assert.match(page, /<script src="script\.js"><\/script>/);
+    assert.doesNotMatch(page, /<style>|document\.title/);
+    assert.match(page, /src="images\/crust-texture\.png"/);
+    assert.match(page, /src="data:image\/bmp;base64,Qk0="/, 'the .bmp is inlined');
+    assert.match(page, /href="Our-Menu\.htm"/);
+
+    assert.match(fileOf(res.body.project, 'style.css').content, /url\("images\/crust-texture\.png"\)/);
+    assert.match(fileOf(res.body.project, 'script.js').content, /document\.title = 'Welcome';/);
+    assert.match(fileOf(res.body.project, 'css/site.css').content, /url\(\.\.\/images\/crust-texture\.png\)/);
+    assert.match(fileOf(res.body.project, 'Our-Menu.htm').content, /href="index\.html"/);
+    assert.equal(fileOf(res.body.project, 'images/crust-texture.png').encoding, 'base64');
+
+    assert.deepEqual(res.body.report.skipped, [{ path: 'contact.php', reason: 'unsupported file type' }]);
+    assert.deepEqual(res.body.report.inlined, ['images/logo.bmp']);
+    assert.ok(res.body.report.renamed.some(entry => entry.from === 'index.htm' && entry.to === 'index.html'));
+});
+
+test('the imported project is saved with a revision and shows up in the history', async () => {
+    const res = await client.post('/api/import', { zip: bakeryZip().toString('base64'), name: 'Bakery (old site)' });
+
+    const history = await client.get(`/api/history/${client.user.id}`);
+    assert.ok(history.body.history.some(project => project.id === res.body.projectId && project.name === 'Bakery (old site)'));
+
+    const revisions = await client.get(`/api/projects/${res.body.projectId}/revisions`);
+    assert.equal(revisions.body.revisions.length, 1);
+    assert.equal(revisions.body.revisions[0].source, 'import');
+});
+
+test('pasted HTML becomes a full page and reports what it links to', async () => {
+    const res = await client.post('/api/import', {
+        html: '<title>Florist</title>\n<style>h1 { color: pink; }</style>\n<h1>Florist</h1>\n<img src="roses.jpg">'
+    });
+
+    assert.equal(res.status, 200, res.body.error);
+    assert.equal(res.body.project.name, 'Florist');
+    assert.deepEqual(res.body.project.files.map(file => file.path), ['index.html', 'style.css']);
+
+    const page = fileOf(res.body.project, 'index.html').content;
+    assert.match(page, /^<!DOCTYPE html>/);
+    assert.match(page, /<head>[\s\S]*<link rel="stylesheet" href="style\.css">[\s\S]*<\/head>/);
+    assert.deepEqual(res.body.report.missing, [{ file: 'index.html', reference: 'roses.jpg' }]);
+});
+
+test('a title with encoded markup becomes a plain project name', async () => {
+    const res = await client.post('/api/import', { html: '<title>&lt;img src=x onerror=alert(1)&gt; Florist</title>\n<h1>Florist</h1>' });
+
+    assert.equal(res.status, 200, res.body.error);
+    assert.equal(res.body.project.name, 'img src=x onerror=alert(1) Florist');
+});
+
+test('a GitHub repo is read from its zipball, one folder of it if asked', async () => {
+    const requests = github.requests.length;
+    const whole = await client.post('/api/import', { repo: 'https://github.com/tester/bakery' });
+
+    assert.equal(whole.status, 200, whole.body.error);
+    assert.equal(whole.body.project.name, 'Docs bakery', 'the shallowest index.html wins');
+    assert.deepEqual(github.requests.slice(requests).map(request => `${request.method} ${request.path}`), [
+        'GET /repos/tester/bakery',
+        'GET /repos/tester/bakery/zipball/main'
+    ]);
+    assert.ok(github.requests.slice(requests).every(request => request.headers.authorization === undefined),
+        'no linked account, so the repo is read anonymously and never with the server token');
+
+    const folder = await client.post('/api/import', { repo: 'tester/bakery', path: 'site' });
+    assert.equal(folder.body.project.name, 'Repo bakery');
+    assert.deepEqual(folder.body.project.files.map(file => file.path), ['index.html']);
+});
+
+test('a repo GitHub doesn\'t know answers 404', async () => {
+    const res = await client.post('/api/import', { repo: 'tester/nope' });
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.success, false);
+    assert.match(res.body.error, /tester\/nope/);
+});
+
+test('import refuses bad sources', async () => {
+    const refused = await app.metric('happy_imports_total', { source: 'zip', outcome: 'refused' });
+
+    const none = await client.post('/api/import', {});
+    assert.equal(none.status, 400);
+
+    const two = await client.post('/api/import', { html: '<h1>Hi</h1>', repo: 'tester/bakery' });
+    assert.equal(two.status, 400);
+
+    const notZip = await client.post('/api/import', { zip: Buffer.from('not an archive').toString('base64') });
+    assert.equal(notZip.status, 400);
+    assert.match(notZip.body.error, /ZIP/);
+
+    const noPage = await client.post('/api/import', { zip: createZip([{ path: 'notes.txt', content: 'hello' }]).toString('base64') });
+    assert.equal(noPage.status, 400);
+    assert.match(noPage.body.error, /No HTML page/);
+
+    const badRepo = await client.post('/api/import', { repo: 'not a repo' });
+    assert.equal(badRepo.status, 400);
+
+    // A bomb: entries that claim to unpack to 2 GB each, refused before any is inflated
+    const bomb = createZip([{ path: 'index.html', content: '<h1>Hi</h1>' }, { path: 'big.css', content: 'a{}' }]);
+    for (let offset = bomb.indexOf('PK\x01\x02'); offset !== -1; offset = bomb.indexOf('PK\x01\x02', offset + 4)) {
+        bomb.writeUInt32LE(0x7fffffff, offset + 24);
+    }
+    const tooBig = await client.post('/api/import', { zip: bomb.toString('base64') });
+    assert.equal(tooBig.status, 400);
+    assert.match(tooBig.body.error, /too big to import/);
+
+    assert.equal(await app.metric('happy_imports_total', { source: 'zip', outcome: 'refused' }), refused + 3);
+});
+
+test('import needs a signed-in user', async () => {
+    const res = await app.anonymous().post('/api/import', { html: '<h1>Hi</h1>' });
+
+    assert.equal(res.status, 401);
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ot = require('../lib/ot');
+
+// Operational transformation (lib/ot.js): concurrent edits of one text must end up the same everywhere
+
+const text = 'hello world';
+
+// Pairs of concurrent edits of `text`
+const concurrent = {
+    'inserts in different places': [[5, ',', 6], [11, '!']],
+    'inserts at the same place': [[5, ' big', 6], [5, ' small', 6]],
+    'an insert inside a deleted range': [[2, -6, 3], [4, 'XX', 7]],
+    'overlapping deletes': [[1, -5, 5], [3, -6, 2]],
+    'the same delete twice': [[5, -6], [5, -6]],
+    'a delete and a replace of the whole text': [[-11], ['bye', -11]]
+};
+
+test('the example in the module comment', () => {
+    assert.equal(ot.apply('hello!!!ab', [5, ' world', -3, 2]), 'hello worldab');
+    assert.equal(ot.baseLength([5, ' world', -3, 2]), 10);
+});
+
+test('transformed concurrent edits converge, whichever lands first', () => {
+    for (const [name, [a, b]] of Object.entries(concurrent)) {
+        const [aPrime, bPrime] = ot.transform(a, b);
+        const afterA = ot.apply(ot.apply(text, a), bPrime);
+        const afterB = ot.apply(ot.apply(text, b), aPrime);
+
+        assert.equal(afterA, afterB, name);
+    }
+});
+
+test('when both insert at the same place the first operation\'s text comes first', () => {
+    const [a, b] = concurrent['inserts at the same place'];
+    const [, bPrime] = ot.transform(a, b);
+
+    assert.equal(ot.apply(ot.apply(text, a), bPrime), 'hello big small world');
+});
+
+test('a composed operation does what the two do one after the other', () => {
+    const a = [5, ' big', -6];
+    const b = [3, -6, 'ey'];
+    const composed = ot.compose(a, b);
+
+    assert.equal(ot.apply(text, composed), ot.apply(ot.apply(text, a), b));
+    assert.equal(ot.apply(text, composed), 'heley');
+
+    // What a inserts and b deletes again leaves no trace
+    assert.deepEqual(ot.compose([5, 'abc', 6], [5, -3, 6]), [11]);
+});
+
+test('operations that don\'t fit their text are refused with status 400', () => {
+    assert.throws(() => ot.apply(text, [5, 'x']), error => error.status === 400);
+    assert.throws(() => ot.compose([11], [5]), error => error.status === 400);
+    assert.throws(() => ot.transform([11], [5, 'x']), error => error.status === 400);
+
+    assert.equal(ot.isOperation([3, 'a', -2]), true);
+    assert.equal(ot.isOperation([3, 0]), false);
+    assert.equal(ot.isOperation([1.5]), false);
+});
+
+test('a diff turns one text into the other, and cursors follow edits', () => {
+    const op = ot.diff(text, 'hello brave world');
+    assert.equal(ot.apply(text, op), 'hello brave world');
+    assert.deepEqual(op, [6, 'brave ', 5]);
+
+    assert.equal(ot.transformIndex(8, op), 14);
+    assert.equal(ot.transformIndex(2, op), 2);
+    assert.equal(ot.transformIndex(8, [2, -6, 3]), 2);
+});
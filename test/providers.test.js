@@ -0,0 +1,49 @@
+const http = require('http');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// AI providers (lib/providers.js): looking them up, and streaming from an OpenAI-compatible stand-in
+// that stops talking mid-answer
+
+let upstream, providers;
+
+before(async () => {
+    upstream = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: '{"html":' } }] })}\n\n`);
+        // ...and then nothing, with the connection left open
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+
+    process.env.OPENAI_BASE_URL = `http://127.0.0.1:${upstream.address().port}`;
+    process.env.OPENAI_API_KEY = 'test-openai-key';
+    process.env.AI_STREAM_IDLE_MS = '200';
+    providers = require('../lib/providers');
+});
+
+after(async () => {
+    upstream.closeAllConnections();
+    await new Promise(resolve => upstream.close(resolve));
+});
+
+test('a stream that goes quiet is cut off with an error', async () => {
+    const deltas = [];
+    const started = Date.now();
+
+    await assert.rejects(
+        providers.getProvider('openai').stream([{ role: 'user', content: 'A bakery' }], { onDelta: delta => deltas.push(delta) }),
+        /OpenAI-compatible sent nothing for 0\.2s/
+    );
+
+    assert.deepEqual(deltas, ['{"html":']);
+    assert.ok(Date.now() - started < 5000);
+});
+
+test('a provider name that is not a known string is an unknown provider', () => {
+    for (const name of ['nope', 42, ['openai'], { name: 'openai' }, 'constructor']) {
+        assert.throws(() => providers.getProvider(name), error => error.status === 400 && /Unknown AI provider/.test(error.message));
+    }
+
+    assert.equal(providers.getProvider('OpenAI').name, 'openai');
+    assert.equal(providers.getProvider(undefined).name, 'deepseek');
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseModelJSON, validateAIFiles } = require('../lib/validate');
+
+// Validation of model replies (lib/validate.js): getting JSON out of whatever the model sent
+
+const reply = { files: [{ path: 'index.html', content: '<h1>Bakery</h1>' }], message: 'Done' };
+
+test('clean JSON is parsed without repairs', () => {
+    assert.deepEqual(parseModelJSON(JSON.stringify(reply)), { data: reply, repairs: [] });
+});
+
+test('JSON in a markdown fence, or between prose, is found', () => {
+    const fenced = parseModelJSON('Here you go:\n```json\n' + JSON.stringify(reply) + '\n```\nEnjoy!');
+    assert.deepEqual(fenced.data, reply);
+    assert.deepEqual(fenced.repairs, ['stripped-code-fences']);
+
+    const chatty = parseModelJSON('Sure! ' + JSON.stringify(reply) + ' Let me know if you want changes.');
+    assert.deepEqual(chatty.data, reply);
+    assert.deepEqual(chatty.repairs, ['stripped-surrounding-text']);
+});
+
+test('a reply cut off mid-string keeps what was complete', () => {
+    const full = JSON.stringify({
+        files: [
+            { path: 'index.html', content: '<h1>Bakery</h1>' },
+            { path: 'style.css', content: 'h1 { color: brown; }' }
+        ],
+        message: 'A bakery site with a warm palette'
+    });
+    const { data, repairs } = parseModelJSON(full.slice(0, full.indexOf(' warm')));
+
+    assert.deepEqual(repairs, ['recovered-truncated-json']);
+    assert.deepEqual(data.files, JSON.parse(full).files);
+    assert.equal(data.message, 'A bakery site with a');
+});
+
+test('a reply with no JSON in it is refused', () => {
+    assert.throws(() => parseModelJSON('I cannot help with that.'), /contains no JSON object/);
+    assert.throws(() => parseModelJSON('{ "files": ]'), /could not be recovered/);
+});
+
+test('recovered files are checked, repaired where possible and their errors reported', () => {
+    const { files, repairs, errors } = validateAIFiles({
+        files: [
+            { path: 'style.css', content: '```css\nh1 { color: brown;\n```' },
+            { path: 'script.js', content: 'function (' },
+            { path: 'logo.png', content: 'not really an image' }
+        ]
+    });
+
+    assert.equal(files.find(file => file.path === 'style.css').content, 'h1 { color: brown;\n}\n');
+    assert.deepEqual(repairs, ['stripped-code-fences', 'closed-css-braces']);
+    assert.equal(errors.length, 2);
+    assert.match(errors[0], /^script\.js: SyntaxError/);
+    assert.match(errors[1], /^logo\.png: only text files/);
+});